@@ -2,473 +2,17 @@ import React, { useState, useRef, useEffect } from "react"
 import PropTypes from "prop-types"
 import "./styles.css"
 import Util from "./util"
+import Formula from "./formula"
+import Errors from "./errors"
+import Values from "./values"
+import Functions from "./functions"
+import CustomFunctions from "./custom-functions"
+import Engine from "./engine"
+import Calculator from "./calculator"
 
-const DEBUG = false
-const DISPLAY_SHEET_JSON = true
-
-// Keep in mind that this feature might be generally faster than a full
-// cloning, but tends to make garbage collection harder.
-const ENABLE_SELECTIVE_CLONING = false
-
-// https://en.wikipedia.org/wiki/Observer_pattern
-class Cell {
-  constructor(refOrCoords, value, sheet) {
-    this.ref = Util.asRef(refOrCoords)
-    this.sheet = sheet
-    this.subjects = new Set() // Cells who I watch for changes.
-    this.observers = new Set() // Cells who watch me for changes.
-    this.modified = false // Changes when value is changed or (re)evaluated.
-    this.evaluated = false // Changes when value is (re)evaluated.
-    this.invalid = false
-
-    this.setValue(value)
-  }
-
-  static create() {
-    return Object.create(this.prototype)
-  }
-
-  clone(attrsToMerge = {}) {
-    const clone = Cell.create()
-
-    // Copy all object properties.
-    Object.keys(this).forEach((property) => {
-      clone[property] =
-        this[property] instanceof Set ? new Set(this[property]) : this[property]
-    })
-
-    Object.entries(attrsToMerge).forEach(([key, value]) => {
-      clone[key] = value
-    })
-
-    return clone
-  }
-
-  hasFormula() {
-    return Util.isFormula(this.value)
-  }
-
-  setValue(newValue, descendantObservers) {
-    if (this.value !== newValue) {
-      this.value = newValue
-      this.modified = true
-
-      // Assume cell is valid.
-      this.invalid = false
-      this.errorMessage = null
-
-      const oldSubjects = new Set(this.subjects)
-      const newSubjects = Util.isFormula(newValue)
-        ? this._extractCells(Util.expandRanges(newValue))
-        : new Set()
-
-      if (this._hasCircularDependency(newSubjects)) {
-        this.evaluatedValue = null
-        this.invalid = true
-        this.errorMessage = "Circular dependency"
-      }
-
-      if (!this.invalid) {
-        this.subjects = newSubjects
-
-        const subjectsAdded = Util.setDiff(this.subjects, oldSubjects)
-        const subjectsRemoved = Util.setDiff(oldSubjects, this.subjects)
-
-        subjectsAdded.forEach((ref) => {
-          this.sheet.findOrCreateCell(ref)._registerObserver(this.ref)
-        })
-
-        subjectsRemoved.forEach((ref) => {
-          this.sheet.findOrCreateCell(ref)._unregisterObserver(this.ref)
-        })
-
-        descendantObservers ??= this.descendantObservers()
-
-        if (DEBUG)
-          console.log(`${this.ref}'s descendantObservers: `, [
-            ...descendantObservers
-          ])
-
-        this._evaluateValue(descendantObservers)
-      }
-    }
-  }
-
-  descendantObservers(visited = []) {
-    // Please notice the cell itself (this) will be included in the resulting collection.
-    return Util.setAppend(
-      new Set([this.ref]),
-      [...this.observers].flatMap((ref) => {
-        if (visited.indexOf(ref) >= 0) return [] // Cell already processed.
-
-        visited.push(ref)
-
-        return [...this.sheet.findCell(ref).descendantObservers(visited)]
-      })
-    )
-  }
-
-  copyTo(targetRef) {
-    let copiedValue = this.value
-
-    if (Util.isFormula(this.value)) {
-      const subjects = this._extractCells(this.value)
-
-      const subjectNewRefs = [...subjects].reduce((acc, ref) => {
-        acc[ref] = Util.newRefForCopy(ref, this.ref, targetRef)
-
-        return acc
-      }, {})
-
-      copiedValue = Util.templateReplaceForCopy(this.value, subjectNewRefs)
-    }
-
-    // Assure all cells are properly re-evaluated (when applicable) by
-    // setting their `evaluated` flag to false prior to reprocessing them.
-    Object.values(this.sheet.cells).forEach((cell) => (cell.evaluated = false))
-
-    const newCell = this.sheet.updateOrCreateCell(targetRef, copiedValue)
-
-    return newCell
-  }
-
-  moveTo(targetRef, sourceRefs) {
-    if (DEBUG) console.log(`Moving ${this.ref} to ${targetRef}`)
-
-    this.sheet.findOrCreateCell(targetRef).observers.forEach((ref) => {
-      const observer = this.sheet.findCell(ref)
-
-      observer.evaluated = false
-    })
-
-    // Copy source cell raw/original value to current ref.
-    const targetCell = this.sheet.updateOrCreateCell(targetRef, this.value)
-
-    // For each observer of the source cell, update its references
-    // to the subject's new position.
-    this.observers.forEach((ref) => {
-      const observer = this.sheet.findCell(ref)
-      let observerValue = observer.value
-      const ranges = new Set(Util.textScan(observerValue, Util.RANGE_REGEXP))
-
-      ranges.forEach((range) => {
-        const rangeCells = new Set(Util.expandRange(range).flat(2))
-        const rangeCellsNotInMove = Util.setDiff(
-          rangeCells,
-          new Set(sourceRefs)
-        )
+const { Recalculation, Sheet, Workbook } = Engine
 
-        // Are all cells within the range being moved in the same operation?
-        if (rangeCellsNotInMove.size === 0) {
-          if (DEBUG)
-            console.log(`Observer ${ref}: entire range ${range} being moved`)
-
-          const [fromRef, toRef] = range.split(":")
-          const newFromRef = Util.newRefForCopy(fromRef, this.ref, targetRef)
-          const newToRef = Util.newRefForCopy(toRef, this.ref, targetRef)
-
-          observerValue = observerValue.replace(
-            new RegExp(`\\b${range}\\b`, "g"),
-            [newFromRef, newToRef].join(":")
-          )
-        }
-      })
-
-      if (DEBUG)
-        console.log(
-          `Updating ${ref} references with current value ${observerValue}`
-        )
-
-      observer.setValue(
-        Util.templateReplaceForMove(observerValue, {
-          [this.ref]: targetRef
-        })
-      )
-
-      observer.evaluated = false
-    })
-
-    // Assure the cell being moved is properly re-evaluated by setting
-    // its `evaluated` to false prior to nullify it.
-    this.evaluated = false
-    this.setValue(null)
-
-    return targetCell
-  }
-
-  ///////////////////////
-  // Private functions //
-  ///////////////////////
-
-  _evaluateValue(updatedCellDescendantObservers) {
-    if (DEBUG) console.log(`Evaluating ${this.ref}...`)
-
-    if (this.evaluated) {
-      if (DEBUG) console.log(`Cell ${this.ref} already evaluated. Skipping...`)
-
-      return
-    }
-
-    this.evaluated = true
-
-    // Assume cell is valid.
-    this.invalid = false
-    this.errorMessage = null
-
-    const previousValue = this.evaluatedValue
-    let parsedFormula
-
-    if (Util.isFormula(this.value)) {
-      try {
-        parsedFormula = this._parseFormula()
-      } catch (e) {
-        if (e instanceof Util.InvalidRefInFormula) {
-          this.evaluatedValue = null
-          this.invalid = true
-          this.errorMessage = e.message
-        } else {
-          throw e
-        }
-      }
-
-      if (!this.invalid) {
-        try {
-          /* eslint-disable no-unused-vars */
-          const SUM = (...values) =>
-            values.flat(2).reduce((acc, i) => acc + i, 0)
-          const COUNT = (...values) => values.flat(2).length
-          const AVG = (...values) => {
-            const flattenedValues = values.flat(2)
-            return SUM(...flattenedValues) / COUNT(...flattenedValues)
-          }
-          const MAX = (...values) => Math.max(...values.flat(2))
-          const MIN = (...values) => Math.min(...values.flat(2))
-          const ROWS = (values) => values.length
-          const COLS = (values) => (values[0] ?? []).length
-          /* eslint-disable no-unused-vars */
-
-          this.evaluatedValue = eval(parsedFormula) // eslint-disable-line no-eval
-        } catch {
-          this.evaluatedValue = null
-          this.invalid = true
-          this.errorMessage = "Invalid formula"
-        }
-      }
-    } else {
-      this.evaluatedValue = this.value
-    }
-
-    if (DEBUG)
-      if (this.evaluatedValue !== previousValue) {
-        console.log(`${this.ref} new value: ${this.evaluatedValue}`)
-      } else {
-        console.log(`No changes to ${this.ref}'s value!`)
-      }
-
-    if (this.evaluatedValue !== previousValue) {
-      this.modified = true
-
-      this._notifyObservers(updatedCellDescendantObservers)
-    }
-  }
-
-  _parseFormula(defaultValue = 0) {
-    const subjectValues = [...this.subjects].reduce((acc, ref) => {
-      const cell = this.sheet.findCell(ref)
-
-      if (cell.invalid)
-        throw new Util.InvalidRefInFormula(`Invalid ref [${ref}]`)
-
-      acc[ref] = cell._valueForFormulaCalculation(defaultValue)
-
-      return acc
-    }, {})
-
-    const parsedFormula = Util.rawFormula(
-      // Replace all (subject) references in formula.
-      Util.templateReplace(
-        Util.expandRanges(this.value), // e.g. '=A1+B2'
-        subjectValues // e.g. { A1: 10, B2: 20 }
-      )
-    )
-
-    if (DEBUG)
-      console.log(
-        `${this.ref} -> formula: '${Util.rawFormula(
-          this.value
-        )}', subjects: ${JSON.stringify(
-          subjectValues
-        )}, replacedFormula: '${parsedFormula}'`
-      )
-
-    return parsedFormula
-  }
-
-  _valueForFormulaCalculation(defaultValue) {
-    if (Util.isEmpty(this.value)) return defaultValue
-    else if (this.hasFormula()) return this.evaluatedValue
-    else if (Object.is(Number(this.value), NaN)) return defaultValue
-    else return this.evaluatedValue
-  }
-
-  _registerObserver(observer) {
-    this.observers.add(observer)
-  }
-
-  _unregisterObserver(observer) {
-    this.observers.delete(observer)
-  }
-
-  _updateObserver(updatedCellDescendantObservers) {
-    this._evaluateValue(updatedCellDescendantObservers)
-  }
-
-  _notifyObservers(updatedCellDescendantObservers) {
-    if (DEBUG)
-      console.log(
-        `Notifying ${this.ref}'s observers: [${[...this.observers].join(", ")}]`
-      )
-
-    this.observers.forEach((ref) => {
-      const observer = this.sheet.findCell(ref)
-      const commonCells = Util.setIntersect(
-        observer.subjects,
-        updatedCellDescendantObservers
-      )
-      const nonEvaluatedCommonCells = [...commonCells].filter(
-        (commonCellRef) => !this.sheet.findCell(commonCellRef).evaluated
-      )
-
-      if (nonEvaluatedCommonCells.length > 0) {
-        if (DEBUG)
-          console.log(
-            `Skipping observer ${ref} due to non-evaluated common cell(s) [${nonEvaluatedCommonCells.join(
-              ", "
-            )}]`
-          )
-
-        return
-      }
-
-      observer._updateObserver(updatedCellDescendantObservers)
-    })
-  }
-
-  _extractCells(value) {
-    return Util.findRefsInFormula(value)
-  }
-
-  _hasCircularDependency(subjects, visited = []) {
-    return (
-      subjects.has(this.ref) ||
-      [...subjects].some((ref) => {
-        if (visited.indexOf(ref) >= 0) return false // Cell already processed.
-
-        visited.push(ref)
-
-        const subject = this.sheet.findOrCreateCell(ref)
-
-        return this._hasCircularDependency(subject.subjects, visited)
-      })
-    )
-  }
-}
-
-class Sheet {
-  constructor(initialCellData) {
-    this.id = Sheet.generateId()
-    this.cells = {}
-
-    this._loadInitialCellData(initialCellData)
-  }
-
-  static create() {
-    return Object.create(this.prototype)
-  }
-
-  static generateId() {
-    return Date.now()
-  }
-
-  clone(cellsToClone) {
-    const clone = Sheet.create()
-
-    clone.id = Sheet.generateId()
-
-    clone.cells = Object.entries(this.cells).reduce((acc, [ref, cell]) => {
-      acc[ref] =
-        !ENABLE_SELECTIVE_CLONING || cellsToClone.has(ref)
-          ? cell.clone({ modified: false, evaluated: false, sheet: clone })
-          : cell // Notice that this (reused) cell will still point to its old sheet.
-
-      return acc
-    }, {})
-
-    return clone
-  }
-
-  dimensions() {
-    let [maxRow, maxCol] = [0, 0]
-
-    Object.keys(this.cells).forEach((ref) => {
-      const { row, col } = Util.asCoords(ref)
-      if (row > maxRow) maxRow = row
-      if (col > maxCol) maxCol = col
-    })
-
-    return [maxRow, maxCol]
-  }
-
-  cellCount() {
-    return Object.keys(this.cells).length
-  }
-
-  findCell(refOrCoords) {
-    const ref = Util.asRef(refOrCoords)
-
-    return this.cells[ref]
-  }
-
-  findOrCreateCell(refOrCoords, valueIfNew) {
-    const ref = Util.asRef(refOrCoords)
-
-    const cell = (this.cells[ref] =
-      this.cells[ref] ?? new Cell(ref, valueIfNew, this))
-
-    return cell
-  }
-
-  // upsert operation
-  updateOrCreateCell(refOrCoords, valueIfNew, descendantObservers) {
-    let cell = this.findCell(refOrCoords)
-
-    if (cell) {
-      cell.setValue(valueIfNew, descendantObservers)
-    } else {
-      const ref = Util.asRef(refOrCoords)
-
-      cell = this.cells[ref] = new Cell(ref, valueIfNew, this)
-    }
-
-    return cell
-  }
-
-  ///////////////////////
-  // Private functions //
-  ///////////////////////
-
-  _loadInitialCellData(initialCellData) {
-    Object.entries(initialCellData).forEach(([ref, value]) => {
-      this.updateOrCreateCell(ref, value)
-
-      // Reset all already created cell's `evaluated` flag, so the
-      // optimizatin check inside `Cell#_evaluateValue` works as expected.
-      Object.values(this.cells).forEach((cell) => {
-        cell.evaluated = false
-      })
-    })
-  }
-}
+const DISPLAY_SHEET_JSON = true
 
 // // Euler's number calculation [https://en.wikipedia.org/wiki/E_(mathematical_constant)].
 // const initialCellData = Util.sequenceReduce(
@@ -587,18 +131,669 @@ const initialCellData = Util.generateSpiralSequence(
 //   (_i, previousRefs, _nextRef) => `=${previousRefs[previousRefs.length - 3]}+${previousRefs[previousRefs.length - 2]}+${previousRefs[previousRefs.length - 1]}`
 // )
 
-const initialSheet = new Sheet(initialCellData)
+// In the worker as well (see `CustomFunctions`).
+CustomFunctions.register()
+
+// Its values are computed in the background, once loaded (see
+// `Calculator#load`), rather than before the app starts.
+let initialWorkbook
+
+Recalculation.defer(() => {
+  initialWorkbook = new Workbook({ [Sheet.DEFAULT_NAME]: initialCellData })
+})
+
+// The workbook's sheets as tabs, which can be selected, added, renamed (by
+// double-clicking them), moved and deleted.
+const SheetTabs = ({
+  sheetNames,
+  activeSheetName,
+  onSelect,
+  onAdd,
+  onRename,
+  onMove,
+  onDelete
+}) => {
+  const [renamedSheetName, setRenamedSheetName] = useState(null)
+  const [newName, setNewName] = useState("")
+  const [error, setError] = useState(null)
+  // The sheet being renamed, cleared right away once the rename is committed
+  // or cancelled, so the blur following Enter or Escape (with the state not
+  // updated yet) doesn't commit it again.
+  const renamingRef = useRef(null)
+  const activeIndex = sheetNames.indexOf(activeSheetName)
+
+  const resetRename = () => {
+    renamingRef.current = null
+    setRenamedSheetName(null)
+    setError(null)
+  }
+
+  const handleTabDoubleClick = (name) => (_event) => {
+    renamingRef.current = name
+    setRenamedSheetName(name)
+    setNewName(name)
+    setError(null)
+  }
+
+  const handleRenameSubmit = (event) => {
+    event.preventDefault()
+
+    if (renamingRef.current !== renamedSheetName) return
+
+    const name = newName.trim()
+    const error =
+      name === renamedSheetName ? null : onRename(renamedSheetName, name)
+
+    if (error) setError(error)
+    else resetRename()
+  }
+
+  const handleRenameKeyDown = (event) => {
+    if (event.key === "Escape") resetRename()
+  }
+
+  return (
+    <div className="sheet-tabs">
+      {sheetNames.map((name) =>
+        name === renamedSheetName ? (
+          <form key={name} onSubmit={handleRenameSubmit}>
+            <input
+              type="text"
+              size="12"
+              autoFocus
+              value={newName}
+              onChange={(event) => setNewName(event.target.value)}
+              onKeyDown={handleRenameKeyDown}
+              onBlur={handleRenameSubmit}
+            />
+          </form>
+        ) : (
+          <button
+            key={name}
+            type="button"
+            className={name === activeSheetName ? "active" : null}
+            title="Double-click to rename"
+            onClick={() => onSelect(name)}
+            onDoubleClick={handleTabDoubleClick(name)}
+          >
+            {name}
+          </button>
+        )
+      )}{" "}
+      <button
+        type="button"
+        className="link-button"
+        title="Add new sheet"
+        onClick={onAdd}
+      >
+        [+]
+      </button>{" "}
+      <button
+        type="button"
+        className="link-button"
+        title="Move sheet left"
+        disabled={activeIndex === 0}
+        onClick={() => onMove(activeSheetName, activeIndex - 1)}
+      >
+        [&lt;]
+      </button>{" "}
+      <button
+        type="button"
+        className="link-button"
+        title="Move sheet right"
+        disabled={activeIndex === sheetNames.length - 1}
+        onClick={() => onMove(activeSheetName, activeIndex + 1)}
+      >
+        [&gt;]
+      </button>{" "}
+      <button
+        type="button"
+        className="link-button"
+        title="Delete sheet"
+        disabled={sheetNames.length === 1}
+        onClick={() => onDelete(activeSheetName)}
+      >
+        [delete]
+      </button>
+      {error && <p style={{ color: "Red" }}>{error}</p>}
+    </div>
+  )
+}
+
+SheetTabs.propTypes = {
+  sheetNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+  activeSheetName: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+}
+
+// Lists the sheet's defined names, and lets the user create (e.g. from the
+// selected range), edit and delete them.
+const NameManager = ({ names, selectedRange, onDefine, onDelete }) => {
+  const [name, setName] = useState("")
+  const [definition, setDefinition] = useState("")
+  const [editedName, setEditedName] = useState(null)
+  const [error, setError] = useState(null)
+
+  const resetForm = () => {
+    setName("")
+    setDefinition("")
+    setEditedName(null)
+    setError(null)
+  }
+
+  // e.g. 'A1:B3' as '$A$1:$B$3', or 'C2:C2' as '$C$2'.
+  const selectionAsDefinition = () => {
+    const absoluteRefs = [
+      ...new Set(selectedRange.split(":").map((ref) => ref.toUpperCase()))
+    ].map((ref) =>
+      Util.formatRef({
+        ...Util.parseRef(ref),
+        colAbsolute: true,
+        rowAbsolute: true
+      })
+    )
+
+    return absoluteRefs.join(":")
+  }
+
+  const handleUseSelectionClick = (_event) => {
+    setDefinition(selectionAsDefinition())
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+
+    const error = onDefine(name.trim(), definition.trim(), editedName)
 
-const Spreadsheet = (props) => {
+    if (error) setError(error)
+    else resetForm()
+  }
+
+  const handleEditClick = (definedName) => (_event) => {
+    setName(definedName.name)
+    setDefinition(definedName.definition)
+    setEditedName(definedName.name)
+    setError(null)
+  }
+
+  const handleDeleteClick = (definedName) => (_event) => {
+    if (definedName.name === editedName) resetForm()
+
+    onDelete(definedName.name)
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h4>Names</h4>
+
+      <table border="1" cellSpacing="0" cellPadding="4">
+        <tbody>
+          {Object.values(names).map((definedName) => (
+            <tr key={definedName.name}>
+              <td>{definedName.name}</td>
+              <td>={definedName.definition}</td>
+              <td>
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={handleEditClick(definedName)}
+                >
+                  [edit]
+                </button>{" "}
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={handleDeleteClick(definedName)}
+                >
+                  [delete]
+                </button>
+              </td>
+            </tr>
+          ))}
+
+          <tr>
+            <td>
+              <input
+                type="text"
+                placeholder="Name"
+                size="12"
+                value={name}
+                onChange={(event) => setName(event.target.value)}
+              />
+            </td>
+            <td>
+              ={" "}
+              <input
+                type="text"
+                placeholder="Cell, range or expression"
+                size="24"
+                value={definition}
+                onChange={(event) => setDefinition(event.target.value)}
+              />{" "}
+              {selectedRange && (
+                <button
+                  type="button"
+                  className="link-button"
+                  title="Use the selected range"
+                  onClick={handleUseSelectionClick}
+                >
+                  [selection]
+                </button>
+              )}
+            </td>
+            <td>
+              <button type="submit">{editedName ? "Update" : "Define"}</button>{" "}
+              {editedName && (
+                <button type="button" onClick={resetForm}>
+                  Cancel
+                </button>
+              )}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      {error && <p style={{ color: "Red" }}>{error}</p>}
+    </form>
+  )
+}
+
+NameManager.propTypes = {
+  names: PropTypes.object.isRequired,
+  selectedRange: PropTypes.string,
+  onDefine: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+}
+
+// Iterative calculation settings (see `Sheet#setIteration`), applied on
+// submit.
+const IterationSettings = ({ iteration, onChange }) => {
+  const [maxIterations, setMaxIterations] = useState(
+    String(iteration.maxIterations)
+  )
+  const [maxChange, setMaxChange] = useState(String(iteration.maxChange))
+  const [error, setError] = useState(null)
+
+  const handleEnabledChange = (event) => {
+    setError(onChange({ enabled: event.target.checked }))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+
+    setError(
+      onChange({
+        maxIterations: Number(maxIterations),
+        maxChange: Number(maxChange)
+      })
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h4>Iterative calculation</h4>
+      <label>
+        <input
+          type="checkbox"
+          checked={iteration.enabled}
+          onChange={handleEnabledChange}
+        />{" "}
+        Allow circular references
+      </label>{" "}
+      <label>
+        Maximum iterations:{" "}
+        <input
+          type="text"
+          size="6"
+          value={maxIterations}
+          onChange={(event) => setMaxIterations(event.target.value)}
+        />
+      </label>{" "}
+      <label>
+        Maximum change:{" "}
+        <input
+          type="text"
+          size="6"
+          value={maxChange}
+          onChange={(event) => setMaxChange(event.target.value)}
+        />
+      </label>{" "}
+      <button type="submit">Apply</button>
+      {error && <p style={{ color: "Red" }}>{error}</p>}
+    </form>
+  )
+}
+
+IterationSettings.propTypes = {
+  iteration: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+// Traces the precedents or dependents of the selected cell (see
+// `Sheet#trace`): each click on a trace button outlines one more level of
+// them in the table, while the whole tree is listed below.
+const DependencyTracer = ({
+  selectedRef,
+  trace,
+  nodes,
+  onTrace,
+  onClear,
+  onSelect
+}) => (
+  <div className="dependency-tracer">
+    <h4>Dependencies</h4>
+    <button
+      type="button"
+      disabled={!selectedRef}
+      onClick={(_event) => onTrace("precedents")}
+    >
+      Trace precedents
+    </button>{" "}
+    <button
+      type="button"
+      disabled={!selectedRef}
+      onClick={(_event) => onTrace("dependents")}
+    >
+      Trace dependents
+    </button>{" "}
+    <button type="button" disabled={!trace} onClick={onClear}>
+      Clear
+    </button>
+    {trace && (
+      <>
+        <p>
+          {trace.direction === "precedents" ? "Precedents" : "Dependents"} of{" "}
+          {Util.qualifiedRef(trace.sheetName, trace.ref)}, outlined up to level{" "}
+          {trace.levels}:
+        </p>
+
+        <ul className={`trace-tree ${trace.direction}`}>
+          {nodes.map(({ ref, level, repeated }, index) => (
+            <li key={index} style={{ paddingLeft: `${level * 16}px` }}>
+              <button
+                type="button"
+                className="link-button"
+                onClick={(_event) => onSelect(ref)}
+              >
+                {ref}
+              </button>
+              {repeated && " (see above)"}
+            </li>
+          ))}
+        </ul>
+      </>
+    )}
+  </div>
+)
+
+DependencyTracer.propTypes = {
+  selectedRef: PropTypes.string,
+  trace: PropTypes.object,
+  nodes: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onTrace: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired
+}
+
+// Formula values as written in formulas, e.g. '"text"' or '{1,2;3,4}'
+// for arrays, shortened when too long.
+const formatFormulaValue = (value) => {
+  const MAXIMUM_LENGTH = 60
+
+  let text
+
+  if (Errors.isError(value)) text = value.code
+  else if (Values.isLambda(value)) text = "LAMBDA(...)"
+  else if (value === null) text = "(blank)"
+  else if (typeof value === "string") text = `"${value.replaceAll('"', '""')}"`
+  else if (value instanceof Array)
+    text = `{${value
+      .map((row) => row.map(formatFormulaValue).join(","))
+      .join(";")}}`
+  else text = String(Util.formatValue(value))
+
+  return text.length > MAXIMUM_LENGTH
+    ? `${text.slice(0, MAXIMUM_LENGTH - 1)}…`
+    : text
+}
+
+// Steps through the evaluation of a formula (see `Sheet#evaluationSteps`),
+// showing it with the parts evaluated so far replaced by their values and
+// the next one underlined, as well as where an error first appears.
+const FormulaEvaluator = ({ cellRef, evaluation, onClose }) => {
+  const { formula, parseError, steps } = evaluation
+  const [stepCount, setStepCount] = useState(0) // Of the steps taken.
+  const firstErrorIndex = steps.findIndex(({ value }) => Errors.isError(value))
+  const firstError = steps[firstErrorIndex]
+  const nextStep = steps[stepCount]
+  // The parts evaluated so far, apart from those within later ones.
+  const evaluatedSteps = steps
+    .slice(0, stepCount)
+    .filter(
+      (step, index, takenSteps) =>
+        !takenSteps
+          .slice(index + 1)
+          .some(({ start, end }) => start <= step.start && step.end <= end)
+    )
+  // The values of the refs, ranges and names, once each.
+  const refSteps = steps.filter(
+    ({ type, text }, index) =>
+      ["ref", "range", "spill", "name"].includes(type) &&
+      steps.findIndex((step) => step.text === text) === index
+  )
+
+  // The formula from `from` to `to`, with the evaluated parts replaced.
+  const formulaPart = (from, to) => {
+    const parts = []
+    let index = from
+
+    evaluatedSteps
+      .filter(({ start, end }) => from <= start && end <= to)
+      .sort((step1, step2) => step1.start - step2.start)
+      .forEach(({ start, end, value }) => {
+        parts.push(formula.slice(index, start))
+        parts.push(
+          <span
+            key={start}
+            className={Errors.isError(value) ? "evaluated error" : "evaluated"}
+            title={Errors.isError(value) ? value.detail() : undefined}
+          >
+            {formatFormulaValue(value)}
+          </span>
+        )
+
+        index = end
+      })
+
+    parts.push(formula.slice(index, to))
+
+    return parts
+  }
+
+  // Parse errors are marked at their position, after the leading `=`.
+  const parseErrorIndex = parseError && parseError.position - 1
+
+  return (
+    <div
+      className="formula-evaluator"
+      role="dialog"
+      aria-label="Evaluate formula"
+    >
+      <h4>Evaluate formula in {cellRef}</h4>
+
+      {parseError ? (
+        <>
+          <code className="formula">
+            {formula.slice(0, parseErrorIndex)}
+            <span className="error">{formula[parseErrorIndex] ?? " "}</span>
+            {formula.slice(parseErrorIndex + 1)}
+          </code>
+          <p className="error">{parseError.message}</p>
+        </>
+      ) : (
+        <>
+          <code className="formula">
+            {nextStep ? (
+              <>
+                {formulaPart(0, nextStep.start)}
+                <u>{formulaPart(nextStep.start, nextStep.end)}</u>
+                {formulaPart(nextStep.end, formula.length)}
+              </>
+            ) : (
+              formulaPart(0, formula.length)
+            )}
+          </code>
+
+          <p>
+            <button
+              type="button"
+              disabled={!nextStep}
+              onClick={(_event) => setStepCount(stepCount + 1)}
+            >
+              Evaluate
+            </button>{" "}
+            <button
+              type="button"
+              disabled={stepCount === 0}
+              onClick={(_event) => setStepCount(0)}
+            >
+              Restart
+            </button>{" "}
+            {firstError && (
+              <button
+                type="button"
+                onClick={(_event) => setStepCount(firstErrorIndex + 1)}
+              >
+                Go to first error
+              </button>
+            )}{" "}
+            Step {stepCount} of {steps.length}
+          </p>
+
+          {firstError && (
+            <p className="error">
+              {firstError.text} gives {firstError.value.code}:{" "}
+              {firstError.value.detail()}
+            </p>
+          )}
+
+          {refSteps.length > 0 && (
+            <table border="1" cellSpacing="0" cellPadding="4">
+              <tbody>
+                {refSteps.map(({ text, value }) => (
+                  <tr key={text}>
+                    <td>{text}</td>
+                    <td className={Errors.isError(value) ? "error" : undefined}>
+                      {formatFormulaValue(value)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      <p>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </p>
+    </div>
+  )
+}
+
+FormulaEvaluator.propTypes = {
+  cellRef: PropTypes.string.isRequired,
+  evaluation: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+const Spreadsheet = () => {
   const MAXIMUM_CELLS = 10000
   const HEADER_LIMITS = { rows: 15, cols: 5 }
+  const MAXIMUM_SUGGESTIONS = 5
 
-  const [sheet, setSheet] = useState(initialSheet)
+  // A function name being typed, right before the cursor (the first group),
+  // but not within a longer word (e.g. the `B` of `$B`). Lookbehinds would be
+  // simpler, but some of the browsers supported don't have them.
+  const FUNCTION_PREFIX_REGEXP = /(?:^|[^a-z0-9_.$])([a-z_][a-z0-9_.]*)$/i
+
+  const [workbook, setWorkbook] = useState(initialWorkbook)
+  const [activeSheetName, setActiveSheetName] = useState(
+    initialWorkbook.sheets[0].name
+  )
   const [clipboard, setClipboard] = useState({ range: null, action: null })
   const [selectedRangeCorner1, setSelectedRangeCorner1] = useState(null)
   const [selectedRangeCorner2, setSelectedRangeCorner2] = useState(null)
+  // Functions matching the name being typed in the cell `ref`, which spans
+  // from `start` to `end` in its input.
+  const [suggestions, setSuggestions] = useState(null)
+  // Of the recalculation running in the background, if any (see
+  // `Calculator`).
+  const [calculationProgress, setCalculationProgress] = useState(null)
+  // The message of the error which ended the last recalculation, if any.
+  const [calculationError, setCalculationError] = useState(null)
+  // The cell whose precedents or dependents are traced, as
+  // `{ sheetName, ref, direction, levels }` (see `DependencyTracer`).
+  const [trace, setTrace] = useState(null)
+  // The formula evaluated step by step, as `{ ref, evaluation }` (see
+  // `FormulaEvaluator`).
+  const [formulaEvaluation, setFormulaEvaluation] = useState(null)
   const cellsRef = useRef({})
+  const calculatorRef = useRef(null)
+  // Whether a recalculation in the background completed since listeners
+  // were last notified (see `Sheet#subscribe`).
+  const calculatedRef = useRef(false)
+
+  useEffect(() => {
+    const handleResults = (cells, progress) => {
+      if (progress === null) calculatedRef.current = true
+
+      if (cells.length > 0)
+        setWorkbook((previousWorkbook) => {
+          const workbookClone = previousWorkbook.clone()
+
+          cells.forEach((state) => {
+            const sheet = workbookClone.findSheet(state.sheetName)
+
+            if (sheet) sheet.findOrCreateCell(state.ref).setComputedState(state)
+          })
+
+          return workbookClone
+        })
+
+      setCalculationProgress(progress)
+      setCalculationError(null)
+    }
+
+    const handleError = (message) => {
+      setCalculationProgress(null)
+      setCalculationError(message)
+    }
 
+    const calculator = new Calculator(handleResults, handleError)
+
+    calculator.load(initialWorkbook)
+    calculatorRef.current = calculator
+
+    return () => calculator.terminate()
+  }, [])
+
+  // Once per recalculation, as on the main thread, with all of its results
+  // in. Not from the state updater, which React might call twice.
+  useEffect(() => {
+    if (!calculatedRef.current) return
+
+    calculatedRef.current = false
+    workbook.notifyListeners()
+  }, [workbook, calculationProgress])
+
+  const sheet = workbook.findSheet(activeSheetName)
   const dimensions = sheet.dimensions()
 
   if (dimensions[0] * dimensions[1] > MAXIMUM_CELLS) {
@@ -657,6 +852,26 @@ const Spreadsheet = (props) => {
     ? Util.expandRange(selectedRange).flat(2)
     : []
 
+  const traceSheet = trace && workbook.findSheet(trace.sheetName)
+  const traceNodes = traceSheet
+    ? traceSheet.trace(trace.ref, trace.direction)
+    : []
+  // The levels of the traced cells in this sheet, up to the one outlined.
+  const tracedLevels = {}
+
+  traceNodes.forEach(({ ref, level }) => {
+    const { sheetName, ref: cellRef } = Util.splitQualifiedRef(
+      traceSheet.qualify(ref)
+    )
+
+    if (
+      level <= trace.levels &&
+      workbook.findSheet(sheetName) === sheet &&
+      !(cellRef in tracedLevels)
+    )
+      tracedLevels[cellRef] = level
+  })
+
   const handleCellInputKeyDown = (ref) => (event) => {
     const { target, key } = event
     const isTextSelected = target.selectionStart < target.selectionEnd
@@ -710,60 +925,51 @@ const Spreadsheet = (props) => {
 
         event.preventDefault()
 
-        const sourceRefs = Util.expandRange(clipboard.range)
-
-        setSheet((previousSheet) => {
-          const sheetClone = previousSheet.clone()
-
-          sourceRefs.forEach((sourceRefsRow, rowIndex) => {
-            sourceRefsRow.forEach((sourceRef, colIndex) => {
-              const sourceCell = sheetClone.findCell(sourceRef)
-
-              if (!sourceCell) return
+        _updateWorkbook({
+          sheetName: activeSheetName,
+          method: "paste",
+          args: [clipboard.range, ref, clipboard.action]
+        })
 
-              const targetRef = Util.asRef([row + rowIndex, col + colIndex])
-              let targetCell
+        if (clipboard.action === "cut") {
+          // Clear the clipboard.
+          setClipboard({ range: null, action: null })
+        }
 
-              switch (clipboard.action) {
-                case "copy":
-                  targetCell = sourceCell.copyTo(targetRef)
-                  break
+        break
 
-                case "cut":
-                  targetCell = sourceCell.moveTo(targetRef, sourceRefs.flat(2))
+      case "F4": // Cycle the anchors ($) of the ref under the cursor.
+        if (!Util.isFormula(target.value)) return
 
-                  _syncCellInput(sheetClone, sourceRef, sourceCell)
+        const refAtCursor = Formula.refAtPosition(
+          target.value,
+          target.selectionStart
+        )
 
-                  // Sync all observers' inputs.
-                  targetCell.observers.forEach((observerRef) => {
-                    _syncCellInput(sheetClone, observerRef)
-                  })
-                  break
+        if (!refAtCursor) return
 
-                default:
-              }
+        event.preventDefault()
 
-              _syncCellInput(sheetClone, targetRef, targetCell)
-            })
-          })
+        const anchoredRef = Util.cycleRefAnchors(refAtCursor.ref)
+        const cursorPosition = refAtCursor.start + anchoredRef.length
 
-          return sheetClone
-        })
-
-        if (clipboard.action === "cut") {
-          // Clear the clipboard.
-          setClipboard({ range: null, action: null })
-        }
+        target.value =
+          target.value.slice(0, refAtCursor.start) +
+          anchoredRef +
+          target.value.slice(refAtCursor.end)
+        target.setSelectionRange(cursorPosition, cursorPosition)
 
         break
 
       case "Escape":
+        setSuggestions(null)
+
         if (isTextFullySelected) {
           // Allow the user to start editing the cell during navigation.
           document.getSelection().collapseToEnd()
         } else {
           // Restore value.
-          input.value = cell?.value ?? ""
+          input.value = Util.formatValue(cell?.value)
         }
         break
 
@@ -880,6 +1086,14 @@ const Spreadsheet = (props) => {
         break
 
       case "Tab":
+        if (suggestions?.ref === ref) {
+          event.preventDefault()
+
+          _acceptSuggestion(suggestions.items[0].name)
+
+          break
+        }
+
         const isTabInLastCell = () => !event.shiftKey && isLastCell
         const isShiftTabInFirstCell = () => event.shiftKey && isFirstCell
 
@@ -901,46 +1115,213 @@ const Spreadsheet = (props) => {
     }
   }
 
+  const handleCellInputChange = (ref) => (event) => {
+    const { value, selectionStart } = event.target
+    const prefix =
+      Util.isFormula(value) &&
+      value.slice(0, selectionStart).match(FUNCTION_PREFIX_REGEXP)?.[1]
+    const items = prefix
+      ? Functions.suggest(prefix).slice(0, MAXIMUM_SUGGESTIONS)
+      : []
+
+    setSuggestions(
+      items.length > 0
+        ? {
+            ref,
+            start: selectionStart - prefix.length,
+            end: selectionStart,
+            items
+          }
+        : null
+    )
+  }
+
+  // Prevents the input from losing its focus.
+  const handleSuggestionMouseDown = (name) => (event) => {
+    event.preventDefault()
+
+    _acceptSuggestion(name)
+  }
+
+  const _acceptSuggestion = (name) => {
+    const { ref, start, end } = suggestions
+    const input = _cellInput(ref)
+    const cursorPosition = start + name.length + 1
+
+    input.value = `${input.value.slice(0, start)}${name}(${input.value.slice(
+      end
+    )}`
+    input.setSelectionRange(cursorPosition, cursorPosition)
+
+    setSuggestions(null)
+  }
+
   const handleCellInputBlur = (ref) => (_event) => {
+    setSuggestions(null)
+
     const cell = sheet.findCell(ref)
     const newValue = Util.normalizeValue(_cellInput(ref).value)
 
     // Do nothing if cell value hasn't changed.
     if ((!cell && newValue === "") || (cell && newValue === cell.value)) return
 
-    setSheet((previousSheet) =>
-      Util.showElapsedTimes(
-        () => {
-          let descendantObservers
-          let targetCells
+    setWorkbook((previousWorkbook) => {
+      const workbookClone = previousWorkbook.clone()
+      const sheetClone = workbookClone.findSheet(activeSheetName)
 
-          if (ENABLE_SELECTIVE_CLONING) {
-            descendantObservers = cell?.descendantObservers() ?? new Set()
+      // Create new cells on demand. They are recalculated in the background,
+      // along with their observers and volatile cells.
+      sheetClone.findOrCreateCell(ref).assignValue(newValue)
 
-            targetCells = Util.setAppend(
-              descendantObservers,
-              Object.entries(previousSheet.cells)
-                .filter(([_ref, cell]) => cell.modified || cell.invalid)
-                .map(([ref, _cell]) => ref)
-            )
-          }
+      return workbookClone
+    })
+
+    calculatorRef.current.update(activeSheetName, [{ ref, value: newValue }])
+  }
 
-          const sheetClone = previousSheet.clone(targetCells)
+  // Returns the error message when the name can't be defined.
+  const handleDefineName = (name, definition, previousName) => {
+    const error = sheet.validateName(name, definition, previousName)
 
-          // Create new cells on demand.
-          sheetClone.updateOrCreateCell(ref, newValue, descendantObservers)
+    if (error) return error.message
 
-          return sheetClone
-        },
-        {
-          message: `Update cell with ${
-            ENABLE_SELECTIVE_CLONING ? "selective" : "full"
-          } cloning`,
-          // repeat: previousSheet.cellCount() < 1000 ? 10 : 3,
-          matchResults: false
-        }
-      )
+    _updateWorkbook({
+      sheetName: activeSheetName,
+      method: "defineName",
+      args: [name, definition, previousName ?? name]
+    })
+
+    return null
+  }
+
+  const handleDeleteName = (name) => {
+    _updateWorkbook({
+      sheetName: activeSheetName,
+      method: "deleteName",
+      args: [name]
+    })
+  }
+
+  // Returns the error message when the settings are invalid.
+  const handleIterationChange = (settings) => {
+    const error = sheet.validateIteration({ ...sheet.iteration, ...settings })
+
+    if (error) return error.message
+
+    _updateWorkbook({
+      sheetName: activeSheetName,
+      method: "setIteration",
+      args: [settings]
+    })
+
+    return null
+  }
+
+  const handleSelectSheet = (name) => {
+    setActiveSheetName(name)
+
+    // Selections and clipboard ranges are relative to the active sheet.
+    setSelectedRangeCorner1(null)
+    setSelectedRangeCorner2(null)
+    setClipboard({ range: null, action: null })
+    setSuggestions(null)
+  }
+
+  const handleAddSheet = (_event) => {
+    const name = workbook.nextSheetName()
+
+    _updateWorkbook({ method: "addSheet", args: [name] })
+
+    handleSelectSheet(name)
+  }
+
+  // Returns the error message when the sheet can't be renamed.
+  const handleRenameSheet = (name, newName) => {
+    const error = workbook.validateSheetName(newName, name)
+
+    if (error) return error.message
+
+    _updateWorkbook({ method: "renameSheet", args: [name, newName] })
+
+    if (name === activeSheetName) setActiveSheetName(newName)
+    if (trace?.sheetName === name) setTrace({ ...trace, sheetName: newName })
+
+    return null
+  }
+
+  const handleMoveSheet = (name, index) => {
+    _updateWorkbook({ method: "moveSheet", args: [name, index] })
+  }
+
+  const handleDeleteSheet = (name) => {
+    const sheetNames = workbook.sheets.map((sheet) => sheet.name)
+    const index = sheetNames.indexOf(name)
+
+    _updateWorkbook({ method: "deleteSheet", args: [name] })
+
+    if (name === activeSheetName)
+      handleSelectSheet(sheetNames[index + 1] ?? sheetNames[index - 1])
+  }
+
+  // For changes which might rewrite any formula (e.g. renaming a name or a
+  // sheet), so all inputs are synced. The `operation` (see
+  // `Workbook#perform`) is performed in the background as well, where the
+  // cells it changes are recalculated (see `Calculator`). Not from a state
+  // updater, which React might call twice.
+  const _updateWorkbook = (operation) => {
+    const workbookClone = workbook.clone()
+
+    Recalculation.defer(() => workbookClone.perform(operation))
+
+    const sheetClone = workbookClone.findSheet(activeSheetName)
+
+    if (sheetClone)
+      Object.keys(sheetClone.cells).forEach((ref) => {
+        _syncCellInput(sheetClone, ref)
+      })
+
+    setWorkbook(workbookClone)
+
+    calculatorRef.current.perform(operation)
+  }
+
+  // Tracing the same cell again outlines one more level.
+  const handleTrace = (direction) => {
+    const ref = selectedRangeCorner1
+    const isSameTrace =
+      trace?.sheetName === sheet.name &&
+      trace.ref === ref &&
+      trace.direction === direction
+    const maxLevel = Math.max(...traceNodes.map((node) => node.level))
+
+    setTrace({
+      sheetName: sheet.name,
+      ref,
+      direction,
+      levels: isSameTrace
+        ? Math.min(trace.levels + 1, Math.max(trace.levels, maxLevel))
+        : 1
+    })
+  }
+
+  const handleEvaluateFormulaClick = (_event) => {
+    setFormulaEvaluation({
+      ref: Util.qualifiedRef(sheet.name, selectedRangeCorner1),
+      evaluation: sheet.evaluationSteps(selectedRangeCorner1)
+    })
+  }
+
+  const handleTracedCellSelect = (ref) => {
+    const { sheetName, ref: cellRef } = Util.splitQualifiedRef(
+      traceSheet.qualify(ref)
     )
+
+    if (sheetName !== sheet.name) handleSelectSheet(sheetName)
+
+    setSelectedRangeCorner1(cellRef)
+    setSelectedRangeCorner2(cellRef)
+
+    _gotoCell(cellRef)
   }
 
   const handleAddNewCol = (event) => {
@@ -952,13 +1333,13 @@ const Spreadsheet = (props) => {
   }
 
   const _addNewRowOrCol = (row, col) => {
-    setSheet((previousSheet) => {
-      const sheetClone = previousSheet.clone()
+    setWorkbook((previousWorkbook) => {
+      const workbookClone = previousWorkbook.clone()
 
       // Create new cells on demand.
-      sheetClone.findOrCreateCell([row, col])
+      workbookClone.findSheet(activeSheetName).findOrCreateCell([row, col])
 
-      return sheetClone
+      return workbookClone
     })
   }
 
@@ -977,7 +1358,9 @@ const Spreadsheet = (props) => {
 
   const _syncCellInput = (currentSheet, ref, cell) => {
     if (_cellInput(ref))
-      _cellInput(ref).value = (cell ?? currentSheet.findCell(ref)).value
+      _cellInput(ref).value = Util.formatValue(
+        (cell ?? currentSheet.findCell(ref)).value
+      )
   }
 
   const handleCellClick = (ref) => (event) => {
@@ -1112,7 +1495,33 @@ const Spreadsheet = (props) => {
 
   return (
     <>
+      <SheetTabs
+        sheetNames={workbook.sheets.map((sheet) => sheet.name)}
+        activeSheetName={sheet.name}
+        onSelect={handleSelectSheet}
+        onAdd={handleAddSheet}
+        onRename={handleRenameSheet}
+        onMove={handleMoveSheet}
+        onDelete={handleDeleteSheet}
+      />
+
+      {calculationProgress && (
+        <p className="calculation-progress">
+          Calculating...{" "}
+          <progress
+            value={calculationProgress.done}
+            max={calculationProgress.total}
+          />
+        </p>
+      )}
+
+      {calculationError && (
+        <p style={{ color: "Red" }}>Calculation failed: {calculationError}</p>
+      )}
+
+      {/* Keyed by sheet, so the inputs are recreated when switching sheets. */}
       <table
+        key={sheet.name}
         border="1"
         cellSpacing="0"
         cellPadding="4"
@@ -1133,14 +1542,36 @@ const Spreadsheet = (props) => {
                   const ref = Util.asRef([row, col])
                   const cell = sheet.findCell([row, col])
                   let cellColor
+                  let spillCellStyle = {}
                   let selectedRangeCellStyle = {}
                   let clipboardCellStyle = {}
+                  let traceCellStyle = {}
 
                   // https://www.w3schools.com/colors/colors_groups.asp
                   if (cell?.invalid) cellColor = "Salmon"
-                  else if (cell?.modified) cellColor = "Gold"
+                  else if (cell && sheet.isModified(cell)) cellColor = "Gold"
                   else cellColor = "White"
 
+                  // Mark the cells holding a spilled array.
+                  if (cell?.spillRange || cell?.spilledFrom)
+                    spillCellStyle = {
+                      borderColor: "SteelBlue",
+                      borderStyle: "dashed"
+                    }
+
+                  // Outline the traced cells, the traced one itself dashed.
+                  if (ref in tracedLevels)
+                    traceCellStyle = {
+                      outline: `2px ${
+                        tracedLevels[ref] === 0 ? "dashed" : "solid"
+                      } ${
+                        trace.direction === "precedents"
+                          ? "RoyalBlue"
+                          : "Crimson"
+                      }`,
+                      outlineOffset: "-2px"
+                    }
+
                   if (selectedRangeRefs.indexOf(ref) >= 0)
                     selectedRangeCellStyle = {
                       borderColor: "Blue",
@@ -1165,10 +1596,15 @@ const Spreadsheet = (props) => {
                     <td
                       valign="top"
                       key={col}
+                      title={
+                        cell?.spilledFrom && `Spilled from ${cell.spilledFrom}`
+                      }
                       style={{
                         backgroundColor: cellColor,
+                        ...spillCellStyle,
                         ...selectedRangeCellStyle,
-                        ...clipboardCellStyle
+                        ...clipboardCellStyle,
+                        ...traceCellStyle
                       }}
                       onClick={handleCellClick(ref)}
                     >
@@ -1177,13 +1613,32 @@ const Spreadsheet = (props) => {
                         autoComplete="off"
                         size="12"
                         ref={(element) => (cellsRef.current[ref] = element)}
-                        defaultValue={cell?.value ?? ""}
+                        defaultValue={Util.formatValue(cell?.value)}
                         onKeyDown={handleCellInputKeyDown(ref)}
+                        onChange={handleCellInputChange(ref)}
                         onBlur={handleCellInputBlur(ref)}
                       />
+                      {suggestions?.ref === ref && (
+                        <ul className="suggestions">
+                          {suggestions.items.map(
+                            ({ name, description, argNames }) => (
+                              <li
+                                key={name}
+                                title={description}
+                                onMouseDown={handleSuggestionMouseDown(name)}
+                              >
+                                <b>{name}</b>({argNames.join(", ")})
+                                {description && ` - ${description}`}
+                              </li>
+                            )
+                          )}
+                        </ul>
+                      )}
                       <br />
-                      <span>
-                        {cell && (cell.errorMessage ?? cell.evaluatedValue)}
+                      <span title={cell?.error?.detail()}>
+                        {cell &&
+                          (cell.error?.code ??
+                            Util.formatValue(cell.evaluatedValue, cell.format))}
                       </span>
                     </td>
                   )
@@ -1198,6 +1653,51 @@ const Spreadsheet = (props) => {
         </tbody>
       </table>
 
+      <DependencyTracer
+        selectedRef={selectedRangeCorner1}
+        trace={trace}
+        nodes={traceNodes}
+        onTrace={handleTrace}
+        onClear={(_event) => setTrace(null)}
+        onSelect={handleTracedCellSelect}
+      />
+
+      <p>
+        <button
+          type="button"
+          disabled={
+            !selectedRangeCorner1 ||
+            !sheet.findCell(selectedRangeCorner1)?.hasFormula()
+          }
+          onClick={handleEvaluateFormulaClick}
+        >
+          Evaluate formula
+        </button>
+      </p>
+
+      {formulaEvaluation && (
+        <FormulaEvaluator
+          key={formulaEvaluation.ref}
+          cellRef={formulaEvaluation.ref}
+          evaluation={formulaEvaluation.evaluation}
+          onClose={(_event) => setFormulaEvaluation(null)}
+        />
+      )}
+
+      <NameManager
+        names={sheet.names}
+        selectedRange={selectedRange}
+        onDefine={handleDefineName}
+        onDelete={handleDeleteName}
+      />
+
+      {/* Keyed by sheet (apart from the table), so its inputs are reset. */}
+      <IterationSettings
+        key={`${activeSheetName} iteration`}
+        iteration={sheet.iteration}
+        onChange={handleIterationChange}
+      />
+
       {DISPLAY_SHEET_JSON && (
         <xmp>{JSON.stringify(sheet, Util.jsonStringifyReplacer, 2)}</xmp>
       )}
@@ -0,0 +1,130 @@
+/* eslint-env worker */
+import Engine from "./engine"
+import CustomFunctions from "./custom-functions"
+
+// Recalculates a copy of the app's workbook off the main thread, so long
+// recalculations don't freeze typing (see `Calculator`). The copy is loaded
+// from the workbook's data (and calculated here, as the app's copy is left
+// uncalculated), and then kept up to date with the values typed in and the
+// operations performed (see `Workbook#perform`). Recalculations run a slice
+// at a time, posting the computed state of the cells evaluated in each slice
+// (see `Cell#computedState`) along with their progress, and give way to any
+// newer message: a newer edit cancels the recalculation in progress, whose
+// outdated cells are recalculated along with the edited ones.
+//
+// Messages take the form `{ id, type: "load", data }` (see
+// `Workbook#toData`), `{ id, type: "update", sheetName, changes }`, with
+// `changes` as `[{ ref, value }]`, or `{ id, type: "perform", operation }`.
+// Results take the form `{ id, cells, progress }`, where `progress` (e.g.
+// `{ done: 10, total: 50 }`) is null once the recalculation is complete, or
+// `{ id, error }` when it failed, with the error's message.
+const { Recalculation, Workbook } = Engine
+
+// How long each slice of a recalculation runs for, in milliseconds.
+const SLICE_TIME = 50
+
+// As in the app (see `CustomFunctions`).
+CustomFunctions.register()
+
+let workbook = null
+let calculation = null // The recalculation in progress, if any.
+
+const postResults = (id, cells, progress = null) => {
+  postMessage({
+    id,
+    cells: cells.map((cell) => cell.computedState()),
+    progress
+  })
+}
+
+// Ends the recalculation in progress, if any.
+const postError = (id, error) => {
+  calculation = null
+
+  postMessage({ id, error: error.message })
+}
+
+const runSlice = (current) => {
+  // Left for a newer one.
+  if (current !== calculation) return
+
+  const { id, recalculation, steps } = current
+  const end = Date.now() + SLICE_TIME
+  let step
+
+  try {
+    do {
+      step = steps.next()
+    } while (!step.done && Date.now() < end)
+
+    postResults(id, [...recalculation.evaluated], step.value)
+  } catch (error) {
+    postError(id, error)
+
+    return
+  }
+
+  recalculation.evaluated.clear()
+
+  if (step.done) {
+    calculation = null
+  } else {
+    setTimeout(() => runSlice(current), 0)
+  }
+}
+
+const recalculate = (id, cells) => {
+  const recalculation = new Recalculation()
+
+  calculation = { id, recalculation, steps: recalculation.steps(cells) }
+
+  runSlice(calculation)
+}
+
+const handleMessage = (message) => {
+  const outdatedCells = calculation?.recalculation.remainingCells() ?? []
+
+  calculation = null
+
+  switch (message.type) {
+    case "load":
+      recalculate(
+        message.id,
+        Recalculation.defer(() => {
+          workbook = Workbook.fromData(message.data)
+        })
+      )
+      break
+
+    case "update":
+      const sheet = workbook.findSheet(message.sheetName)
+      const changedCells = message.changes.flatMap(({ ref, value }) =>
+        sheet.findOrCreateCell(ref).assignValue(value)
+      )
+
+      recalculate(message.id, [
+        ...outdatedCells,
+        ...changedCells,
+        ...sheet.volatileCells()
+      ])
+      break
+
+    case "perform":
+      recalculate(message.id, [
+        ...outdatedCells,
+        ...Recalculation.defer(() => workbook.perform(message.operation))
+      ])
+      break
+
+    default:
+      throw new Error(`Unknown message type: ${message.type}`)
+  }
+}
+
+onmessage = ({ data: message }) => {
+  try {
+    handleMessage(message)
+  } catch (error) {
+    postError(message.id, error)
+  }
+}
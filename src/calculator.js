@@ -0,0 +1,68 @@
+// eslint-disable-next-line import/no-webpack-loader-syntax
+import CalculationWorker from "worker-loader!./calculation.worker"
+
+// Hands recalculations over to a worker (see `calculation.worker.js`), where
+// a copy of the workbook is loaded (see `load`). Values typed in (see
+// `update`) and any other change to the workbook (e.g. renaming a sheet, see
+// `perform`) are posted as they are, so both copies stay the same.
+// `onResults` gets the computed state of the cells evaluated, a batch at a
+// time, along with the progress of the recalculation (null once complete).
+// `onError` gets the message of any error ending a recalculation, or the
+// worker itself.
+class Calculator {
+  constructor(onResults, onError) {
+    this.worker = new CalculationWorker()
+    this.lastId = 0
+    this.loadId = null // Of the last workbook loaded.
+
+    this.worker.onmessage = ({ data: { id, cells, progress, error } }) => {
+      // Results for a workbook loaded before are no longer relevant.
+      if (id < this.loadId) return
+
+      if (error) {
+        onError(error)
+      } else {
+        onResults(cells, progress)
+      }
+    }
+
+    // Errors not caught by the worker (e.g. while loading its script).
+    this.worker.onerror = (event) => {
+      event.preventDefault()
+
+      onError(event.message)
+    }
+  }
+
+  load(workbook) {
+    this.loadId = this._post({ type: "load", data: workbook.toData() })
+  }
+
+  // `changes` are the values typed in, as `[{ ref, value }]`.
+  update(sheetName, changes) {
+    this._post({ type: "update", sheetName, changes })
+  }
+
+  // `operation` is as in `Workbook#perform`, once performed in the app.
+  perform(operation) {
+    this._post({ type: "perform", operation })
+  }
+
+  terminate() {
+    this.worker.terminate()
+  }
+
+  ///////////////////////
+  // Private functions //
+  ///////////////////////
+
+  _post(message) {
+    const id = ++this.lastId
+
+    this.worker.postMessage({ id, ...message })
+
+    return id
+  }
+}
+
+export default Calculator
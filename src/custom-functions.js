@@ -0,0 +1,19 @@
+import FxFunction from "./examples/fx"
+
+// The app's custom functions (see `Functions.register`). Functions can't be
+// posted to the worker recalculating the workbook, so both threads register
+// them from here: the app (see `App.js`) and the worker (see
+// `calculation.worker.js`). Those registered by the app alone are unknown
+// to the worker, and give #NAME? errors.
+const CustomFunctions = (() => {
+  const register = () => {
+    // e.g. `=FX(100, "EUR", "BRL")`.
+    FxFunction.register()
+  }
+
+  return {
+    register
+  }
+})()
+
+export default CustomFunctions
@@ -0,0 +1,121 @@
+// Dates are serial numbers, as in other spreadsheet applications: the count
+// of days since 1899-12-30 (so 1 is 1899-12-31 and 45000 is 2023-03-15),
+// with the time of the day as the fraction. Whether a number is displayed
+// as a date is up to the cell's format (see `Formula.formatOf`).
+//
+// Some spreadsheet applications take 1900 for a leap year, for compatibility
+// with Lotus 1-2-3, so their serials count a 1900-02-29 that never was, and
+// those before 1900-03-01 are one less than here (e.g. 1900-01-01 is 1 there,
+// and 2 here). Serials from 1900-03-01 (61) on are the same.
+const Dates = (() => {
+  const FORMATS = { date: "date", datetime: "datetime" }
+
+  const MS_PER_DAY = 24 * 60 * 60 * 1000
+  const EPOCH = Date.UTC(1899, 11, 30)
+  const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+  // ISO dates, optionally followed by a time, e.g. '2026-10-18' or
+  // '2026-10-18 14:30'.
+  const DATE_REGEXP = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/
+
+  const pad = (number, length = 2) => String(number).padStart(length, "0")
+
+  // Months and days out of bounds roll over (e.g. month 13 is January of the
+  // next year), as in DATE.
+  const toSerial = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+    // Unlike `Date.UTC`, this doesn't map years 0 to 99 to 1900 to 1999.
+    const utcTime = new Date(0).setUTCFullYear(year, month - 1, day)
+
+    return (
+      Math.round((utcTime - EPOCH) / MS_PER_DAY) +
+      (hours * 3600 + minutes * 60 + seconds) / (24 * 3600)
+    )
+  }
+
+  const fromSerial = (serial) => {
+    const totalSeconds = Math.round(serial * 24 * 3600)
+    const days = Math.floor(totalSeconds / (24 * 3600))
+    const secondsOfDay = totalSeconds - days * 24 * 3600
+    const date = new Date(EPOCH + days * MS_PER_DAY)
+
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay(), // 0 is Sunday.
+      hours: Math.floor(secondsOfDay / 3600),
+      minutes: Math.floor(secondsOfDay / 60) % 60,
+      seconds: secondsOfDay % 60
+    }
+  }
+
+  const isLeapYear = (year) =>
+    (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0
+
+  const daysInMonth = (year, month) =>
+    month === 2 && isLeapYear(year) ? 29 : DAYS_IN_MONTH[month - 1]
+
+  // Returns `{ value, format }` for date (and time) text, or null when `text`
+  // isn't one, e.g. '2026-02-30'.
+  const parse = (text) => {
+    const match = typeof text === "string" && text.trim().match(DATE_REGEXP)
+
+    if (!match) return null
+
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match
+      .slice(1)
+      .map((part) => (part === undefined ? undefined : Number(part)))
+
+    if (
+      month < 1 ||
+      month > 12 ||
+      day < 1 ||
+      day > daysInMonth(year, month) ||
+      hours > 23 ||
+      minutes > 59 ||
+      seconds > 59
+    )
+      return null
+
+    return {
+      value: toSerial(year, month, day, hours, minutes, seconds),
+      format: match[4] === undefined ? FORMATS.date : FORMATS.datetime
+    }
+  }
+
+  // The inverse of `parse`.
+  const format = (serial, format = FORMATS.date) => {
+    const { year, month, day, hours, minutes, seconds } = fromSerial(serial)
+    const date = `${pad(year, 4)}-${pad(month)}-${pad(day)}`
+
+    return format === FORMATS.datetime
+      ? `${date} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
+      : date
+  }
+
+  // The local date and time.
+  const now = () => {
+    const date = new Date()
+
+    return toSerial(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      date.getDate(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds()
+    )
+  }
+
+  return {
+    FORMATS,
+    toSerial,
+    fromSerial,
+    daysInMonth,
+    parse,
+    format,
+    now
+  }
+})()
+
+export default Dates
@@ -0,0 +1,2198 @@
+import Util from "./util"
+import Formula from "./formula"
+import Errors from "./errors"
+import Dates from "./dates"
+import Values from "./values"
+import RangeIndex from "./range-index"
+
+// The calculation engine: workbooks of sheets of cells, with their formulas
+// recalculated on every change. It has nothing to do with React or the DOM,
+// so it runs in a worker (see `calculation.worker.js`) or in Node as well.
+//
+//   const { Workbook } = Engine
+//   const workbook = new Workbook({ Sales: { A1: 10, A2: 20 } })
+//   const sheet = workbook.findSheet("Sales")
+//
+//   sheet.setValue("A3", "=SUM(A1:A2)")
+//   sheet.getComputedValue("A3") // 30
+//   sheet.setValues({ A1: 1, A2: 2 }) // Recalculated once, as a whole.
+//   sheet.getValue("A3") // '=SUM(A1:A2)'
+//   sheet.getComputedValue("A3") // 3
+//
+//   sheet.allCells().map((cell) => [cell.ref, cell.evaluatedValue])
+//   sheet.trace("A3", "precedents") // A3, then A1 and A2, as a tree.
+//   sheet.evaluationSteps("A3").steps // A1:A2 is [[1], [2]], then SUM 3.
+//   Workbook.fromData(workbook.toData()) // A copy, e.g. from JSON.
+//
+//   const unsubscribe = sheet.subscribe((records) => console.log(records))
+//   sheet.setValue("A1", 5) // Logs the value records of A1 and A3, at once.
+//
+// Sheets are added with `Workbook#addSheet`, and names defined with
+// `Sheet#defineName`. Custom functions are registered with
+// `Functions.register` (see `functions/index.js`). Cells (see `Cell`) tell
+// more than their values, e.g. their `error` or `format`. Members starting
+// with `_` are private.
+
+// The types of the formula nodes which are values as they are written (or
+// left out, as omitted arguments).
+const LITERAL_TYPES = ["number", "string", "boolean", "omitted"]
+
+// Errors are the same when their codes are.
+const isSameValue = (value1, value2) =>
+  Errors.isError(value1) && Errors.isError(value2)
+    ? value1.code === value2.code
+    : value1 === value2
+
+// For spilled values, or null.
+const isSameTable = (table1, table2) =>
+  table1 === table2 ||
+  (!!table1 &&
+    !!table2 &&
+    table1.length === table2.length &&
+    table1.every(
+      (row, i) =>
+        row.length === table2[i].length &&
+        row.every((value, j) => isSameValue(value, table2[i][j]))
+    ))
+
+// Settings for the whole engine (see `configure`).
+const settings = {
+  debug: false // Whether to log what is being evaluated to the console.
+}
+
+// https://en.wikipedia.org/wiki/Observer_pattern
+class Cell {
+  constructor(refOrCoords, value, sheet) {
+    this.ref = Util.asRef(refOrCoords)
+    this.sheet = sheet
+    this.subjects = new Set() // Cells who I watch for changes.
+    this.observers = new Set() // Cells who watch me for changes.
+    this.modified = false // Changes when value is changed or (re)evaluated.
+    this.invalid = false
+    this.error = null // A `CellError`, when invalid.
+    this.format = null // How to display the value (e.g. as a date).
+    this.volatile = false // Whether it must be recalculated after any change.
+    this.spillRange = null // Where its array result spills (e.g. 'A1:B3').
+    this.spilledValues = null // Its array result, when spilling.
+    this.spilledFrom = null // The ref of the cell spilling into this one.
+
+    this.setValue(value)
+  }
+
+  static create() {
+    return Object.create(this.prototype)
+  }
+
+  clone(attrsToMerge = {}) {
+    const clone = Cell.create()
+
+    // Copy all object properties.
+    Object.keys(this).forEach((property) => {
+      clone[property] =
+        this[property] instanceof Set ? new Set(this[property]) : this[property]
+    })
+
+    Object.entries(attrsToMerge).forEach(([key, value]) => {
+      clone[key] = value
+    })
+
+    return clone
+  }
+
+  hasFormula() {
+    return Util.isFormula(this.value)
+  }
+
+  // Its evaluated value, or its error (a `CellError`).
+  computedValue() {
+    return this.error ?? this.evaluatedValue ?? null
+  }
+
+  // The cell's ref along with its sheet's name, e.g. 'Sheet2!A1', which
+  // identifies it within the workbook.
+  qualifiedRef() {
+    return Util.qualifiedRef(this.sheet.name, this.ref)
+  }
+
+  setValue(newValue) {
+    Recalculation.run(this.assignValue(newValue))
+  }
+
+  // Like `setValue`, but leaves the recalculation to the caller (e.g. a
+  // worker, see `calculation.worker.js`). Returns the cells to recalculate.
+  assignValue(newValue) {
+    this._assertChangeable()
+
+    if (this.value === newValue) return []
+
+    // Typing over a spilled value blocks the spill (see `_spillArea`).
+    const anchor = this.spilledFrom && this.sheet.findOwnCell(this.spilledFrom)
+
+    this._recordChange()
+
+    this.value = newValue
+    this.modified = true
+
+    this._updateSubjects()
+
+    return anchor ? [this, anchor] : [this]
+  }
+
+  // What evaluating the cell gave, as data which can be posted from a worker
+  // (see `setComputedState`). Errors lose their class on the way.
+  computedState() {
+    return {
+      sheetName: this.sheet.name,
+      ref: this.ref,
+      evaluatedValue: this.evaluatedValue,
+      error: this.error,
+      format: this.format,
+      volatile: this.volatile,
+      spillRange: this.spillRange,
+      spilledValues: this.spilledValues,
+      spilledFrom: this.spilledFrom,
+      subjects: [...this.subjects]
+    }
+  }
+
+  // Takes the results of evaluating the cell elsewhere (see
+  // `computedState`), instead of evaluating it.
+  setComputedState(state) {
+    this._assertChangeable()
+    this._recordChange()
+
+    const asValue = (value) =>
+      value instanceof Object
+        ? new Errors.CellError(value.code, value.message, value.origin)
+        : value
+    const spilledValues =
+      state.spilledValues && state.spilledValues.map((row) => row.map(asValue))
+    const changed =
+      state.evaluatedValue !== this.evaluatedValue ||
+      state.error?.code !== this.error?.code ||
+      state.format !== this.format ||
+      state.spillRange !== this.spillRange ||
+      !isSameTable(spilledValues, this.spilledValues)
+
+    this.invalid = !!state.error
+    this.error = state.error && asValue(state.error)
+    this.evaluatedValue = state.evaluatedValue
+    this.format = state.format
+    this.volatile = state.volatile
+    this.spillRange = state.spillRange
+    this.spilledValues = spilledValues
+    this.spilledFrom = state.spilledFrom
+
+    this._setSubjects(new Set(state.subjects))
+
+    if (changed) this.modified = true
+  }
+
+  // Re-evaluates the cell (and its observers) with its current value, e.g.
+  // when the definition of a name it uses has changed.
+  recalculate() {
+    this._assertChangeable()
+    this._updateSubjects()
+
+    Recalculation.run([this])
+  }
+
+  // Refs are qualified (see `qualifiedRef`), as observers might be in other
+  // sheets. The cell itself is included.
+  descendantObservers() {
+    return new Set(
+      [...Recalculation.dependentsOf([this])].map((cell) => cell.qualifiedRef())
+    )
+  }
+
+  copyTo(targetRef) {
+    this._assertChangeable()
+
+    let copiedValue = this.value
+
+    if (Util.isFormula(this.value)) {
+      const newRef = (ref) => Util.newRefForCopy(ref, this.ref, targetRef)
+
+      copiedValue = Formula.replaceRefs(
+        this.value,
+        newRef,
+        (fromRef, toRef) => {
+          const newRefs = [newRef(fromRef), newRef(toRef)]
+
+          // A range with an invalid corner is invalid as a whole.
+          return newRefs.some(Errors.isErrorCode)
+            ? Errors.CODES.REF
+            : newRefs.join(":")
+        }
+      )
+    }
+
+    const newCell = this.sheet.updateOrCreateCell(targetRef, copiedValue)
+
+    return newCell
+  }
+
+  moveTo(targetRef, sourceRefs) {
+    if (settings.debug) console.log(`Moving ${this.ref} to ${targetRef}`)
+
+    this._assertChangeable()
+
+    // Copy source cell raw/original value to current ref.
+    const targetCell = this.sheet.updateOrCreateCell(targetRef, this.value)
+
+    // For each observer of the source cell, update its references
+    // to the subject's new position.
+    this._allObservers().forEach((ref) => {
+      const observer = this.sheet.findOwnCell(ref)
+      // Observers in other sheets refer to this one by its name.
+      const isThisSheet = (sheetName) =>
+        observer.sheet.resolveSheet(sheetName) === this.sheet
+
+      const observerValue = Formula.replaceRefs(
+        observer.value,
+        (subjectRef, sheetName) =>
+          isThisSheet(sheetName) && Util.stripAnchors(subjectRef) === this.ref
+            ? Util.newRefForMove(subjectRef, this.ref, targetRef)
+            : subjectRef,
+        (fromRef, toRef, sheetName) => {
+          const range = [fromRef, toRef].join(":")
+
+          // Open ranges (e.g. 'A:A') stay as they are.
+          if (!isThisSheet(sheetName) || Util.isOpenRange(range)) return range
+
+          const rangeCells = new Set(Util.expandRange(range).flat(2))
+          const rangeCellsNotInMove = Util.setDiff(
+            rangeCells,
+            new Set(sourceRefs)
+          )
+
+          // Are all cells within the range being moved in the same operation?
+          if (rangeCellsNotInMove.size > 0) return range
+
+          if (settings.debug)
+            console.log(`Observer ${ref}: entire range ${range} being moved`)
+
+          return [
+            Util.newRefForMove(fromRef, this.ref, targetRef),
+            Util.newRefForMove(toRef, this.ref, targetRef)
+          ].join(":")
+        }
+      )
+
+      if (settings.debug)
+        console.log(
+          `Updating ${ref} references with new value ${observerValue}`
+        )
+
+      observer.setValue(observerValue)
+    })
+
+    this.setValue(null)
+
+    return targetCell
+  }
+
+  ///////////////////////
+  // Private functions //
+  ///////////////////////
+
+  // Keeps the values the cell had before its first change since listeners
+  // were last notified (see `Sheet#subscribe`), if anyone is listening.
+  _recordChange() {
+    const { changes } = this.sheet.subscriptions
+
+    if (!this.sheet._hasListeners() || changes.has(this.ref)) return
+
+    changes.set(this.ref, {
+      value: this.value,
+      computedValue: this.computedValue()
+    })
+  }
+
+  // Cells of a cloned sheet are shared with the clone (see `Sheet#clone`),
+  // so they are left unchanged, as a snapshot.
+  _assertChangeable() {
+    if (this.sheet.frozen)
+      throw new Error(
+        `${this.qualifiedRef()} belongs to a cloned sheet (see Sheet#findOwnCell)`
+      )
+  }
+
+  // Only called by `Recalculation`, which makes sure the cell's subjects are
+  // up to date. Cells in a circular reference are given an `error` instead.
+  // Returns whether the cell's value changed.
+  _evaluateValue(recalculation, error = null) {
+    if (settings.debug) console.log(`Evaluating ${this.ref}...`)
+
+    this._recordChange()
+
+    const previousValue = this.evaluatedValue
+    const previousErrorCode = this.error?.code
+    const previousFormat = this.format
+    const previousSpilledValues = this.spilledValues
+    const previousSpillRefs = this._spillRefs()
+    let value
+    let format = null
+    let spill = null
+    let addedSubjects = new Set()
+
+    if (error) {
+      value = error
+    } else if (Util.isFormula(this.value)) {
+      const context = this._evaluationContext(recalculation)
+
+      try {
+        const ast = this._parseFormula()
+
+        value = Formula.evaluate(ast, context)
+        format = Formula.formatOf(
+          ast,
+          (ref, sheetName) =>
+            this.sheet.resolveSheet(sheetName)?.findCell(ref)?.format ?? null,
+          context.nameDefinition
+        )
+      } catch (e) {
+        if (e instanceof Formula.FormulaError) {
+          value = new Errors.CellError(Errors.CODES.ERROR, e.message)
+        } else {
+          throw e
+        }
+      }
+
+      // As in other spreadsheet applications, `=A1` shows 0 for a blank A1,
+      // and so does `=IF(FALSE,1,)` for its omitted (undefined) argument.
+      // Lambdas are only good for calling, in a cell or in its spill range.
+      const cellValue = (value) => {
+        if (value === null || value === undefined) return 0
+
+        if (Values.isLambda(value))
+          return new Errors.CellError(
+            Errors.CODES.CALC,
+            "Lambdas must be called"
+          )
+
+        return value
+      }
+
+      if (value instanceof Array) {
+        value = value.map((row) => row.map(cellValue))
+
+        if (value.length === 0 || value[0].length === 0) {
+          value = new Errors.CellError(Errors.CODES.CALC)
+        } else if (value.length === 1 && value[0].length === 1) {
+          value = value[0][0]
+        } else {
+          spill = this._spillArea(value)
+          value = spill.blocked
+            ? new Errors.CellError(Errors.CODES.SPILL)
+            : value[0][0]
+        }
+      }
+
+      value = cellValue(value)
+
+      // Cells read by functions such as OFFSET and INDIRECT are only known
+      // after evaluation, but must be watched as well. So must a blocked
+      // spill range, as the spill might get unblocked (the cells it spills
+      // into watch the cell instead, see `_updateSubjects`).
+      const subjects = Util.setAppend(
+        Util.setAppend(this._extractCells(this.value), context.accessedRefs),
+        spill?.blocked ? spill.refs : []
+      )
+
+      addedSubjects = Util.setDiff(subjects, this.subjects)
+
+      this._setSubjects(subjects)
+
+      this.volatile = context.volatile
+    } else if (this.spilledFrom && Util.isEmpty(this.value)) {
+      // Blank cells in a spill range show their part of the array.
+      const anchor = this.sheet.findCell(this.spilledFrom)
+      const { row, col } = Util.asCoords(this.ref)
+      const anchorCoords = Util.asCoords(anchor.ref)
+
+      value =
+        anchor.spilledValues[row - anchorCoords.row][col - anchorCoords.col]
+      format = anchor.format
+
+      this.volatile = false
+    } else {
+      // Dates entered as text (e.g. '2026-10-18') become serial numbers.
+      const date = Dates.parse(this.value)
+
+      value = date?.value ?? this.value
+      format = date?.format ?? null
+
+      this.volatile = false
+    }
+
+    // Invalid cells keep their error apart, with a null `evaluatedValue`.
+    this.invalid = Errors.isError(value)
+    this.error = this.invalid ? value : null
+    this.evaluatedValue = this.invalid ? null : value
+    this.format = this.invalid ? null : format
+    this.spillRange = spill && !spill.blocked ? spill.range : null
+    this.spilledValues = this.spillRange ? spill.values : null
+
+    this._updateSpilledCells(previousSpillRefs, recalculation)
+
+    // New subjects might close a circular reference, which is only detected
+    // when recalculating (see `Recalculation#run`).
+    if (addedSubjects.size > 0 && this._hasCircularDependency(addedSubjects))
+      recalculation.schedule(this)
+
+    const changed =
+      this.evaluatedValue !== previousValue ||
+      this.error?.code !== previousErrorCode ||
+      this.format !== previousFormat ||
+      !isSameTable(this.spilledValues, previousSpilledValues)
+
+    if (settings.debug)
+      if (changed) {
+        console.log(`${this.ref} new value: ${this.evaluatedValue}`)
+      } else {
+        console.log(`No changes to ${this.ref}'s value!`)
+      }
+
+    if (changed) this.modified = true
+
+    return changed
+  }
+
+  // The range an array result would spill into, from the cell to the right
+  // and below, which is blocked when any of the other cells isn't blank or
+  // is in the spill range of another cell, or when it goes beyond the end of
+  // the sheet.
+  _spillArea(values) {
+    const { row, col } = Util.asCoords(this.ref)
+    const [lastRow, lastCol] = [
+      row + values.length - 1,
+      col + values[0].length - 1
+    ]
+
+    if (lastRow > Util.MAX_ROWS || lastCol > Util.MAX_COLS)
+      return { range: null, refs: [], values, blocked: true }
+
+    const range = [this.ref, Util.asRef([lastRow, lastCol])].join(":")
+    const refs = Util.expandRange(range)
+      .flat(2)
+      .filter((ref) => ref !== this.ref)
+    const blocked = refs.some((ref) => {
+      const cell = this.sheet.findCell(ref)
+
+      return (
+        !!cell &&
+        (!Util.isEmpty(cell.value) ||
+          (!!cell.spilledFrom && cell.spilledFrom !== this.ref))
+      )
+    })
+
+    return { range, refs, values, blocked }
+  }
+
+  // The refs of the spill range, other than the cell's own.
+  _spillRefs() {
+    return this.spillRange
+      ? Util.expandRange(this.spillRange)
+          .flat(2)
+          .filter((ref) => ref !== this.ref)
+      : []
+  }
+
+  // Cells taken or released by the spill range watch the cell (or stop
+  // doing so), and are recalculated along with their observers. Those which
+  // stay in the spill range are already recalculated as its observers.
+  _updateSpilledCells(previousSpillRefs, recalculation) {
+    const spillRefs = this._spillRefs()
+
+    new Set([...previousSpillRefs, ...spillRefs]).forEach((ref) => {
+      const cell = this.sheet.findOrCreateCell(ref)
+      const spilledFrom = spillRefs.includes(ref) ? this.ref : null
+
+      // Released by this cell, but maybe already taken by another one.
+      if (!spilledFrom && cell.spilledFrom !== this.ref) return
+
+      if (cell.spilledFrom === spilledFrom) return
+
+      cell.spilledFrom = spilledFrom
+      cell._updateSubjects()
+
+      recalculation.schedule(cell)
+    })
+  }
+
+  // Whether the value didn't change by more than the sheet's maximum change
+  // since the previous iteration (see `Recalculation#_iterate`).
+  _hasConverged(previousValue) {
+    const value = this.evaluatedValue
+
+    if (typeof value === "number" && typeof previousValue === "number")
+      return Math.abs(value - previousValue) <= this.sheet.iteration.maxChange
+
+    return value === previousValue
+  }
+
+  _parseFormula() {
+    const ast = Formula.parse(this.value)
+
+    if (settings.debug)
+      console.log(
+        `${this.ref} -> formula: '${Util.rawFormula(
+          this.value
+        )}', subjects: [${[...this.subjects].join(", ")}], ast:`,
+        ast
+      )
+
+    return ast
+  }
+
+  // See `Sheet#evaluationSteps`. Literals (e.g. `2`) are left out, as they
+  // evaluate to themselves, and so are the nodes of names' definitions.
+  _evaluationSteps() {
+    let ast
+
+    try {
+      ast = this._parseFormula()
+    } catch (e) {
+      if (e instanceof Formula.FormulaError)
+        return { formula: this.value, parseError: e, steps: [] }
+
+      throw e
+    }
+
+    const steps = []
+    const formulaNodes = new Set(Formula.nodesOf(ast))
+    // Nothing is pending, so cells are read as they are.
+    const context = this._evaluationContext(new Recalculation())
+
+    context.onEvaluate = (node, value) => {
+      if (!formulaNodes.has(node) || LITERAL_TYPES.includes(node.type)) return
+
+      const { type, start, end } = node
+
+      steps.push({
+        type,
+        start,
+        end,
+        text: this.value.slice(start, end),
+        value
+      })
+    }
+
+    Formula.evaluate(ast, context)
+
+    return { formula: this.value, parseError: null, steps }
+  }
+
+  // Supplies subject values (or errors) to `Formula.evaluate`, keeping track
+  // of the refs read in `accessedRefs` (qualified for other sheets).
+  // Blank cells are null, so they can be told apart from zeros.
+  _evaluationContext(recalculation, defaultValue = null) {
+    const accessedRefs = new Set()
+
+    const unknownSheet = (sheetName) =>
+      new Errors.CellError(Errors.CODES.REF, `Unknown sheet "${sheetName}"`)
+
+    const readCell = (sheet, ref, subjectRef) => {
+      const cell = sheet.findCell(ref)
+
+      if (!cell) return defaultValue
+
+      // Cells only known after evaluation (e.g. read by INDIRECT) might be
+      // waiting for recalculation, unless they are part of a circular
+      // reference being evaluated.
+      if (recalculation.isPending(cell)) {
+        if (recalculation.isEvaluating(cell))
+          return new Errors.CellError(Errors.CODES.CIRC)
+
+        recalculation.evaluate(cell)
+      }
+
+      // Errors propagate to the formulas which depend on them.
+      if (cell.invalid) return cell.error.withOrigin(subjectRef)
+
+      return cell._valueForFormulaCalculation(defaultValue)
+    }
+
+    const valueOf = (ref, sheetName = null) => {
+      const sheet = this.sheet.resolveSheet(sheetName)
+
+      if (!sheet) return unknownSheet(sheetName)
+
+      const subjectRef = this.sheet.relativeRef(sheet, ref)
+
+      accessedRefs.add(subjectRef)
+
+      return readCell(sheet, ref, subjectRef)
+    }
+
+    const rangeValues = (from, to, sheetName = null) => {
+      const sheet = this.sheet.resolveSheet(sheetName)
+      const range = `${from}:${to}`
+
+      if (!sheet) return unknownSheet(sheetName)
+
+      // Ranges are watched as a whole (see `Sheet#registerRangeObserver`).
+      // Open ones (e.g. 'A:A') are read up to the end of the sheet.
+      const subjectRef = this.sheet.relativeRef(sheet, range)
+      const boundRange = Util.isOpenRange(range)
+        ? sheet.boundRange(range)
+        : range
+
+      accessedRefs.add(subjectRef)
+
+      return Util.expandRange(boundRange).map((rowRefs) =>
+        rowRefs.map((ref) =>
+          readCell(sheet, ref, this.sheet.relativeRef(sheet, ref))
+        )
+      )
+    }
+
+    // The anchor cell is read (and watched) as well, so changes in the size
+    // of its spill range are noticed.
+    const spillValues = (ref, sheetName = null) => {
+      const anchorValue = valueOf(ref, sheetName)
+      const anchor = this.sheet.resolveSheet(sheetName)?.findCell(ref)
+
+      if (Errors.isError(anchorValue)) return anchorValue
+
+      if (!anchor?.spillRange)
+        return new Errors.CellError(Errors.CODES.REF, `${ref} doesn't spill`)
+
+      return rangeValues(...anchor.spillRange.split(":"), sheetName)
+    }
+
+    return {
+      accessedRefs,
+      volatile: false,
+      valueOf,
+      rangeValues,
+      spillValues,
+      nameDefinition: (name) => this.sheet.nameDefinition(name)
+    }
+  }
+
+  _valueForFormulaCalculation(defaultValue) {
+    if (Util.isEmpty(this.value) && !this.spilledFrom) return defaultValue
+    else return this.evaluatedValue
+  }
+
+  _setSubjects(newSubjects) {
+    const oldSubjects = this.subjects
+
+    this.subjects = newSubjects
+
+    Util.setDiff(newSubjects, oldSubjects).forEach((ref) => {
+      this._watchSubject(ref, true)
+    })
+
+    Util.setDiff(oldSubjects, newSubjects).forEach((ref) => {
+      this._watchSubject(ref, false)
+    })
+  }
+
+  // The refs in the formula, or the cell spilling into this one. Refs only
+  // known after evaluation are added then (see `_evaluateValue`).
+  _updateSubjects() {
+    if (this.hasFormula()) {
+      this._setSubjects(this._extractCells(this.value))
+    } else if (this.spilledFrom && Util.isEmpty(this.value)) {
+      this._setSubjects(new Set([this.spilledFrom]))
+    } else {
+      this._setSubjects(new Set())
+    }
+  }
+
+  _subjectCells() {
+    return [...this.subjects]
+      .flatMap((ref) => this.sheet.expandRef(ref))
+      .map((ref) => this.sheet.findCell(ref))
+      .filter(Boolean)
+  }
+
+  // Observers are about to be recalculated, so they are made ready for
+  // changes (see `Sheet#clone`).
+  _observerCells() {
+    return [...this._allObservers()]
+      .map((ref) => this.sheet.findOwnCell(ref))
+      .filter(Boolean)
+  }
+
+  // Subjects in other sheets (or in deleted ones, which aren't found) see
+  // this cell by its qualified ref. Ranges are watched through their sheet,
+  // as their cells might not exist (yet).
+  _watchSubject(subjectRef, watch) {
+    const { sheetName, ref } = Util.splitQualifiedRef(subjectRef)
+    const sheet = this.sheet.resolveSheet(sheetName)
+
+    if (!sheet) return
+
+    const observerRef = sheet.relativeRef(this.sheet, this.ref)
+
+    if (Util.parseRange(ref)) {
+      if (watch) sheet.registerRangeObserver(ref, observerRef)
+      else sheet.unregisterRangeObserver(ref, observerRef)
+    } else {
+      const subject = sheet.findOrCreateCell(ref)
+
+      if (watch) subject._registerObserver(observerRef)
+      else subject._unregisterObserver(observerRef)
+    }
+  }
+
+  // The cell's observers, along with those watching ranges it is in.
+  _allObservers() {
+    return Util.setAppend(
+      new Set(this.observers),
+      this.sheet.rangeObserversOf(this.ref)
+    )
+  }
+
+  _registerObserver(observer) {
+    this.observers.add(observer)
+  }
+
+  _unregisterObserver(observer) {
+    this.observers.delete(observer)
+  }
+
+  // Refs in names used by the formula are subjects as well. Refs to other
+  // sheets are kept qualified, while those to unknown sheets are left out.
+  _extractCells(value) {
+    const refs = Util.setAppend(
+      Formula.findRefs(value),
+      this.sheet.refsInNames(Formula.findNames(value))
+    )
+
+    return new Set(
+      [...refs].map((ref) => this.sheet.canonicalRef(ref)).filter(Boolean)
+    )
+  }
+
+  // `subjects` are refs relative to the cell's own sheet. Walked with a stack
+  // rather than recursively, so long chains of cells don't overflow it.
+  // Subjects might be shared with previous versions of their sheets (see
+  // `Sheet#clone`), so their sheets are found by name.
+  _hasCircularDependency(subjects) {
+    const ownRef = this.qualifiedRef()
+    const visited = new Set()
+    const stack = [...subjects].map((ref) => [ref, this.sheet])
+
+    while (stack.length > 0) {
+      const [subjectsRef, sheet] = stack.pop()
+
+      for (const ref of sheet.expandRef(subjectsRef)) {
+        const subjectRef = sheet.qualify(ref)
+
+        if (subjectRef === ownRef) return true
+        if (visited.has(subjectRef)) continue // Cell already processed.
+
+        visited.add(subjectRef)
+
+        const subject = sheet.findCell(ref)
+        const subjectSheet = sheet.resolveSheet(
+          Util.splitQualifiedRef(ref).sheetName
+        )
+
+        if (subject)
+          subject.subjects.forEach((ref) => stack.push([ref, subjectSheet]))
+      }
+    }
+
+    return false
+  }
+}
+
+// Recalculates the cells depending (directly or not) on changed ones, which
+// are all marked dirty first, then evaluated once each, in topological order
+// (i.e. every cell after its subjects). Cells whose subjects didn't change
+// are skipped. The order comes from Tarjan's algorithm, which also finds the
+// circular references: their cells get a #CIRC! error or, with iterative
+// calculation (see `Sheet#setIteration`), are evaluated over and over.
+//
+// Subjects only known after evaluation (e.g. read by INDIRECT) are evaluated
+// on demand. Cells whose subjects change along the way (e.g. when a spill
+// range grows) are recalculated in a further pass.
+class Recalculation {
+  // Keeps cells taking each other's spill ranges from going on forever.
+  static MAX_PASSES = 100
+
+  // The cells to recalculate, collected instead while deferring (see
+  // `defer`).
+  static deferredCells = null
+
+  static run(cells) {
+    if (Recalculation.deferredCells) {
+      cells.forEach((cell) => Recalculation.deferredCells.add(cell))
+    } else {
+      new Recalculation().run(cells)
+    }
+  }
+
+  // Calls `fn`, leaving the recalculations it would run to the caller (e.g.
+  // a worker, as with `Cell#assignValue`). Returns the cells to recalculate.
+  static defer(fn) {
+    const cells = new Set()
+
+    Recalculation.deferredCells = cells
+
+    try {
+      fn()
+    } finally {
+      Recalculation.deferredCells = null
+    }
+
+    return [...cells]
+  }
+
+  // The cells along with all their observers, directly or not.
+  static dependentsOf(cells) {
+    const dependents = new Set(cells)
+
+    // Cells added while iterating a set are visited as well.
+    dependents.forEach((cell) =>
+      cell._observerCells().forEach((observer) => dependents.add(observer))
+    )
+
+    return dependents
+  }
+
+  // The strongly connected components of the dependency graph of `cells`,
+  // observers after their subjects. Iterative, so long chains of cells don't
+  // overflow the stack.
+  static components(cells) {
+    const indexes = new Map()
+    const lowLinks = new Map()
+    const stack = []
+    const onStack = new Set()
+    const components = []
+
+    const visit = (cell) => {
+      indexes.set(cell, indexes.size)
+      lowLinks.set(cell, indexes.get(cell))
+      stack.push(cell)
+      onStack.add(cell)
+
+      return {
+        cell,
+        observers: cell
+          ._observerCells()
+          .filter((observer) => cells.has(observer)),
+        next: 0
+      }
+    }
+
+    cells.forEach((root) => {
+      if (indexes.has(root)) return
+
+      const path = [visit(root)]
+
+      while (path.length > 0) {
+        const frame = path[path.length - 1]
+        const { cell, observers } = frame
+
+        if (frame.next < observers.length) {
+          const observer = observers[frame.next++]
+
+          if (!indexes.has(observer)) {
+            path.push(visit(observer))
+          } else if (onStack.has(observer)) {
+            lowLinks.set(
+              cell,
+              Math.min(lowLinks.get(cell), indexes.get(observer))
+            )
+          }
+
+          continue
+        }
+
+        path.pop()
+
+        if (path.length > 0) {
+          const parent = path[path.length - 1].cell
+
+          lowLinks.set(
+            parent,
+            Math.min(lowLinks.get(parent), lowLinks.get(cell))
+          )
+        }
+
+        if (lowLinks.get(cell) === indexes.get(cell)) {
+          const component = stack.splice(stack.lastIndexOf(cell))
+
+          component.forEach((member) => onStack.delete(member))
+          components.push(component)
+        }
+      }
+    })
+
+    // Components are found observers first.
+    return components.reverse()
+  }
+
+  // Whether the component is a circular reference.
+  static isCycle([cell, ...others]) {
+    return others.length > 0 || cell._observerCells().includes(cell)
+  }
+
+  constructor() {
+    this.roots = new Set()
+    this.pending = new Set() // Dirty cells, not evaluated yet.
+    this.evaluating = new Set()
+    this.changed = new Set()
+    this.scheduled = new Set() // Cells for the next pass.
+    // Cells evaluated over all passes, which might be cleared along the way
+    // (e.g. once reported, see `calculation.worker.js`).
+    this.evaluated = new Set()
+    this.sheets = new Set() // Those of the cells evaluated.
+  }
+
+  run(cells) {
+    const steps = this.steps(cells)
+
+    for (let step = steps.next(); !step.done; step = steps.next());
+  }
+
+  // Like `run`, but one cell (or circular reference) at a time, yielding
+  // the progress of the current pass (e.g. `{ done: 10, total: 50 }`) after
+  // each one, so it can be stopped midway (see `remainingCells`).
+  *steps(cells) {
+    this.scheduled = new Set(cells)
+
+    for (
+      let pass = 0;
+      this.scheduled.size > 0 && pass < Recalculation.MAX_PASSES;
+      pass++
+    ) {
+      this.roots = this.scheduled
+      this.scheduled = new Set()
+
+      yield* this._pass()
+    }
+
+    // Listeners get all the changes at once (see `Sheet#subscribe`).
+    this.sheets.forEach((sheet) => sheet._notifyListeners())
+  }
+
+  // The cells left outdated when stopped midway, to be recalculated later
+  // on (along with their observers).
+  remainingCells() {
+    return [...this.pending, ...this.scheduled]
+  }
+
+  schedule(cell) {
+    this.scheduled.add(cell)
+  }
+
+  isPending(cell) {
+    return this.pending.has(cell)
+  }
+
+  isEvaluating(cell) {
+    return this.evaluating.has(cell)
+  }
+
+  // Brings a dirty cell up to date, evaluating its dirty subjects first (when
+  // not already evaluated, as with subjects only known after evaluation).
+  // Iterative, as `components`.
+  evaluate(cell) {
+    if (!this.pending.has(cell)) return
+
+    const path = [this._startEvaluation(cell)]
+
+    while (path.length > 0) {
+      const frame = path[path.length - 1]
+      const { subjects } = frame
+
+      if (frame.next < subjects.length) {
+        const subject = subjects[frame.next++]
+
+        if (this.pending.has(subject) && !this.evaluating.has(subject))
+          path.push(this._startEvaluation(subject))
+
+        continue
+      }
+
+      path.pop()
+      this._finishEvaluation(frame)
+    }
+  }
+
+  ///////////////////////
+  // Private functions //
+  ///////////////////////
+
+  *_pass() {
+    const dirty = Recalculation.dependentsOf(this.roots)
+
+    if (settings.debug)
+      console.log(
+        `Recalculating [${[...dirty].map((cell) => cell.qualifiedRef())}]`
+      )
+
+    this.pending = new Set(dirty)
+    this.changed = new Set()
+
+    for (const component of Recalculation.components(dirty)) {
+      if (Recalculation.isCycle(component)) {
+        this._evaluateCycle(component)
+      } else {
+        this.evaluate(component[0])
+      }
+
+      yield { done: dirty.size - this.pending.size, total: dirty.size }
+    }
+  }
+
+  _startEvaluation(cell) {
+    this.evaluating.add(cell)
+
+    return { cell, subjects: cell._subjectCells(), next: 0 }
+  }
+
+  _finishEvaluation({ cell, subjects }) {
+    if (
+      this.roots.has(cell) ||
+      subjects.some((subject) => this.changed.has(subject))
+    ) {
+      if (cell._evaluateValue(this)) this.changed.add(cell)
+
+      this.evaluated.add(cell)
+      this.sheets.add(cell.sheet)
+    }
+
+    this.evaluating.delete(cell)
+    this.pending.delete(cell)
+  }
+
+  _evaluateCycle(cells) {
+    cells.forEach((cell) => this.pending.delete(cell))
+    cells.forEach((cell) => this.changed.add(cell))
+    cells.forEach((cell) => this.evaluated.add(cell))
+    cells.forEach((cell) => this.sheets.add(cell.sheet))
+
+    if (cells.every((cell) => cell.sheet.iteration.enabled)) {
+      this._iterate(cells)
+    } else {
+      const error = new Errors.CellError(Errors.CODES.CIRC)
+
+      cells.forEach((cell) => cell._evaluateValue(this, error))
+    }
+  }
+
+  // The cells are evaluated over and over until their values converge.
+  _iterate(cells) {
+    const maxIterations = Math.max(
+      ...cells.map((cell) => cell.sheet.iteration.maxIterations)
+    )
+
+    // A previous failure to converge is no starting point.
+    cells
+      .filter((cell) => cell.error?.code === Errors.CODES.CIRC)
+      .forEach((cell) => {
+        cell.invalid = false
+        cell.error = null
+        cell.evaluatedValue = null
+      })
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const previousValues = cells.map((cell) => cell.evaluatedValue)
+
+      cells.forEach((cell) => cell._evaluateValue(this))
+
+      if (cells.every((cell, i) => cell._hasConverged(previousValues[i])))
+        return
+    }
+
+    const error = new Errors.CellError(
+      Errors.CODES.CIRC,
+      `No convergence after ${maxIterations} iterations`
+    )
+
+    cells.forEach((cell) => cell._evaluateValue(this, error))
+  }
+}
+
+class Sheet {
+  static DEFAULT_NAME = "Sheet1"
+  static DEFAULT_ITERATION = {
+    enabled: false,
+    maxIterations: 100,
+    maxChange: 0.001
+  }
+
+  // `initialNames` maps names to their definitions (see `defineName`).
+  // Sheets belonging to a `workbook` can refer to each other's cells.
+  // `iteration` overrides the default iterative calculation settings (see
+  // `setIteration`).
+  constructor(
+    initialCellData,
+    initialNames = {},
+    { name = Sheet.DEFAULT_NAME, workbook = null, iteration = {} } = {}
+  ) {
+    this.id = Sheet.generateId()
+    this.name = name
+    this.workbook = workbook
+    this.cells = {}
+    this.names = {} // Defined names, by their upper-cased name.
+    // Cells watching ranges (e.g. `=SUM(A:A)`), by range.
+    this.rangeObservers = {}
+    this.rangeIndex = new RangeIndex() // Of the ranges in `rangeObservers`.
+    this.iteration = { ...Sheet.DEFAULT_ITERATION, ...iteration }
+    this.frozen = false // Once cloned (see `clone`).
+    this.sharesMaps = false // Until changed, when cloned (see `clone`).
+    // Shared with clones, so listeners follow the sheet (see `subscribe`).
+    this.subscriptions = { listeners: new Set(), changes: new Map() }
+
+    Object.entries(initialNames).forEach(([name, definition]) =>
+      this.defineName(name, definition)
+    )
+
+    this._loadInitialCellData(initialCellData)
+  }
+
+  static create() {
+    return Object.create(this.prototype)
+  }
+
+  static generateId() {
+    return Date.now()
+  }
+
+  // Clones share their cells with the original sheet, which must be left
+  // unchanged afterwards, as a snapshot (e.g. of React state). A cell is only
+  // copied into the clone when it is about to change, or to be recalculated
+  // (see `findOwnCell`). Cells from `findCell` might be shared, so they are
+  // just for reading.
+  //
+  // So are the maps of cells and range observers (and its index), until the
+  // clone's first change (see `_unshareMaps`). That change still copies them,
+  // which takes time in proportion to the cells in the sheet, but only for
+  // the sheets changed, e.g. not for the other sheets of a cloned workbook.
+  clone(workbook = this.workbook) {
+    const clone = Sheet.create()
+
+    clone.id = Sheet.generateId()
+    clone.name = this.name
+    clone.workbook = workbook
+    clone.names = { ...this.names }
+    clone.iteration = { ...this.iteration }
+    // Sets of range observers are replaced rather than changed (see
+    // `registerRangeObserver`).
+    clone.rangeObservers = this.rangeObservers
+    clone.rangeIndex = this.rangeIndex
+    clone.cells = this.cells
+    clone.frozen = false
+    clone.sharesMaps = true
+    clone.subscriptions = this.subscriptions
+
+    this.frozen = true
+
+    return clone
+  }
+
+  dimensions() {
+    let [maxRow, maxCol] = [0, 0]
+
+    Object.keys(this.cells).forEach((ref) => {
+      const { row, col } = Util.asCoords(ref)
+      if (row > maxRow) maxRow = row
+      if (col > maxCol) maxCol = col
+    })
+
+    return [maxRow, maxCol]
+  }
+
+  cellCount() {
+    return Object.keys(this.cells).length
+  }
+
+  // The cells with a value (or a spilled one), row by row.
+  allCells() {
+    return Object.values(this.cells)
+      .filter((cell) => !Util.isEmpty(cell.value) || cell.spilledFrom)
+      .sort((cell1, cell2) => {
+        const [coords1, coords2] = [cell1, cell2].map((cell) =>
+          Util.asCoords(cell.ref)
+        )
+
+        return coords1.row - coords2.row || coords1.col - coords2.col
+      })
+  }
+
+  // The value of the cell at `ref` as entered (e.g. a formula), or null for
+  // a blank cell. Qualified refs (e.g. 'Sheet2!A1') are looked up in their
+  // sheets, as with the following methods.
+  getValue(ref) {
+    return this.findCell(ref)?.value ?? null
+  }
+
+  // The evaluated value of the cell at `ref`, or its error (a `CellError`).
+  getComputedValue(ref) {
+    return this.findCell(ref)?.computedValue() ?? null
+  }
+
+  setValue(ref, value) {
+    this.setValues({ [ref]: value })
+  }
+
+  // `listener` is called once per recalculation with the changes to the
+  // sheet's cells (or just to the cell at `ref`), as records such as
+  // `{ type: 'value', ref: 'A1', oldValue: 1, newValue: 2 }`, along with the
+  // sheet itself (the latest version of it, see `clone`). The types are:
+  // - 'created' and 'removed': the cell got a value, or was cleared.
+  // - 'formula': a formula was entered, changed or removed (with the
+  //   `oldValue` and `newValue` entered).
+  // - 'value': the evaluated value changed (with errors as values).
+  // - 'error': the cell got an `error`, after a 'value' record.
+  // Returns a function which unsubscribes the listener.
+  subscribe(listener, ref = null) {
+    const subscription = { listener, ref: ref && Util.asRef(ref) }
+
+    this.subscriptions.listeners.add(subscription)
+
+    return () => {
+      this.subscriptions.listeners.delete(subscription)
+    }
+  }
+
+  // Sets the values of several cells (e.g. `{ A1: 1, B1: '=A1*2' }`), and
+  // then recalculates them, along with their observers and volatile cells.
+  // None is set when any ref is to an unknown sheet.
+  setValues(values) {
+    const entries = Object.entries(values)
+    const unknownRef = entries
+      .map(([ref]) => ref)
+      .find((ref) => !this.resolveSheet(Util.splitQualifiedRef(ref).sheetName))
+
+    if (unknownRef) throw new Error(`Unknown sheet in ${unknownRef}`)
+
+    const changedCells = entries.flatMap(([ref, value]) =>
+      this.findOrCreateCell(ref).assignValue(value)
+    )
+
+    if (changedCells.length > 0)
+      Recalculation.run([...changedCells, ...this.volatileCells()])
+  }
+
+  // Qualified refs (e.g. 'Sheet2!A1') are looked up in their sheets.
+  findCell(refOrCoords) {
+    if (Sheet._isQualified(refOrCoords)) {
+      const { sheetName, ref } = Util.splitQualifiedRef(refOrCoords)
+
+      return this.resolveSheet(sheetName)?.findCell(ref)
+    }
+
+    const ref = Util.asRef(refOrCoords)
+
+    return this.cells[ref]
+  }
+
+  // Like `findCell`, but the cell is copied into this sheet first when shared
+  // with a previous version of it (see `clone`), so it can be changed.
+  findOwnCell(refOrCoords) {
+    if (Sheet._isQualified(refOrCoords)) {
+      const { sheetName, ref } = Util.splitQualifiedRef(refOrCoords)
+
+      return this.resolveSheet(sheetName)?.findOwnCell(ref)
+    }
+
+    return this._own(this.cells[Util.asRef(refOrCoords)])
+  }
+
+  // Cells changed since the sheet was cloned (see `clone`).
+  isModified(cell) {
+    return cell.sheet === this && cell.modified
+  }
+
+  // Returns undefined for qualified refs to unknown sheets. The cell can be
+  // changed (see `findOwnCell`).
+  findOrCreateCell(refOrCoords, valueIfNew) {
+    if (Sheet._isQualified(refOrCoords)) {
+      const { sheetName, ref } = Util.splitQualifiedRef(refOrCoords)
+
+      return this.resolveSheet(sheetName)?.findOrCreateCell(ref, valueIfNew)
+    }
+
+    const ref = Util.asRef(refOrCoords)
+
+    if (!this.cells[ref]) {
+      this._unshareMaps()
+
+      // Added before being given its value, so cells watching open ranges
+      // it is in (see `registerRangeObserver`) can read it when notified.
+      this.cells[ref] = new Cell(ref, undefined, this)
+      this.cells[ref].setValue(valueIfNew)
+    }
+
+    return this._own(this.cells[ref])
+  }
+
+  // upsert operation
+  updateOrCreateCell(refOrCoords, valueIfNew) {
+    const cell = this.findOrCreateCell(refOrCoords)
+
+    cell.setValue(valueIfNew)
+
+    return cell
+  }
+
+  // Copies the cells in `range` (or moves them, when the `action` is 'cut')
+  // to the same positions relative to `targetRef`, as its top left corner.
+  paste(range, targetRef, action) {
+    const sourceRefs = Util.expandRange(range)
+    const { row, col } = Util.asCoords(targetRef)
+
+    sourceRefs.forEach((sourceRefsRow, rowIndex) => {
+      sourceRefsRow.forEach((sourceRef, colIndex) => {
+        const sourceCell = this.findOwnCell(sourceRef)
+        const ref = Util.asRef([row + rowIndex, col + colIndex])
+
+        if (!sourceCell) return
+
+        if (action === "cut") {
+          sourceCell.moveTo(ref, sourceRefs.flat(2))
+        } else {
+          sourceCell.copyTo(ref)
+        }
+      })
+    })
+
+    this.recalculateVolatileCells()
+  }
+
+  // Formulas with ranges (e.g. `=SUM(A1:Z1000)` or `=SUM(A:A)`) watch the
+  // ranges rather than their cells, so blank cells don't need to exist, and
+  // cells created later are seen as well.
+  registerRangeObserver(range, observerRef) {
+    this._unshareMaps()
+
+    if (!this.rangeObservers[range]) this.rangeIndex.add(range)
+
+    this.rangeObservers[range] = Util.setAppend(
+      new Set(this.rangeObservers[range]),
+      [observerRef]
+    )
+  }
+
+  unregisterRangeObserver(range, observerRef) {
+    const observers = Util.setDiff(
+      new Set(this.rangeObservers[range]),
+      new Set([observerRef])
+    )
+
+    this._unshareMaps()
+
+    if (observers.size > 0) {
+      this.rangeObservers[range] = observers
+    } else if (this.rangeObservers[range]) {
+      delete this.rangeObservers[range]
+
+      this.rangeIndex.remove(range)
+    }
+  }
+
+  // The observers of the ranges `ref` is in.
+  rangeObserversOf(ref) {
+    return this.rangeIndex
+      .rangesContaining(ref)
+      .flatMap((range) => [...this.rangeObservers[range]])
+  }
+
+  // Limits an open range to the sheet's current dimensions (see
+  // `Util.boundRange`).
+  boundRange(range) {
+    return Util.boundRange(range, this.dimensions())
+  }
+
+  // The refs of the cells `ref` (relative to this sheet) stands for: itself,
+  // or the existing cells of a range.
+  expandRef(qualifiedRef) {
+    const { sheetName, ref } = Util.splitQualifiedRef(qualifiedRef)
+    const sheet = this.resolveSheet(sheetName)
+
+    if (!Util.parseRange(ref)) return [qualifiedRef]
+    if (!sheet) return []
+
+    const { from, to } = Util.parseRange(ref)
+    const size = (to.row - from.row + 1) * (to.col - from.col + 1)
+
+    // Small ranges are quicker to look up cell by cell.
+    const cellRefs =
+      !Util.isOpenRange(ref) && size < sheet.cellCount()
+        ? Util.expandRange(ref)
+            .flat()
+            .filter((cellRef) => sheet.cells[cellRef])
+        : Object.keys(sheet.cells).filter((cellRef) =>
+            Util.rangeContains(ref, cellRef)
+          )
+
+    return cellRefs.map((cellRef) => this.relativeRef(sheet, cellRef))
+  }
+
+  // This sheet for a null `sheetName`, or the sheet named `sheetName` in the
+  // workbook, if any.
+  resolveSheet(sheetName) {
+    if (sheetName === null || sheetName === undefined) return this
+    if (sheetName.toUpperCase() === this.name.toUpperCase()) return this
+
+    return this.workbook?.findSheet(sheetName) ?? null
+  }
+
+  // How this sheet refers to `ref` in `sheet`: unqualified when it's this
+  // one, qualified otherwise.
+  relativeRef(sheet, ref) {
+    return sheet === this ? ref : Util.qualifiedRef(sheet.name, ref)
+  }
+
+  // `ref`, qualified or not, as this sheet refers to it (see `relativeRef`),
+  // with the sheet name as in the workbook, or null for unknown sheets.
+  canonicalRef(qualifiedRef) {
+    const { sheetName, ref } = Util.splitQualifiedRef(qualifiedRef)
+    const sheet = this.resolveSheet(sheetName)
+
+    return sheet && this.relativeRef(sheet, ref)
+  }
+
+  // `ref` (relative to this sheet) qualified with its sheet's name.
+  qualify(qualifiedRef) {
+    const { sheetName, ref } = Util.splitQualifiedRef(qualifiedRef)
+
+    return Util.qualifiedRef(
+      this.resolveSheet(sheetName)?.name ?? sheetName,
+      ref
+    )
+  }
+
+  // The cells `ref` refers to (expanding ranges to their existing cells), as
+  // refs relative to this sheet. Unlike `Cell#_subjectCells`, this reads the
+  // latest version of each sheet (see `clone`), so it suits views of it.
+  precedentsOf(qualifiedRef) {
+    const { sheetName, ref } = Util.splitQualifiedRef(qualifiedRef)
+    const sheet = this.resolveSheet(sheetName)
+    const cell = sheet?.findCell(ref)
+
+    if (!cell) return []
+
+    return this._canonicalRefs(
+      [...cell.subjects].flatMap((subjectRef) => sheet.expandRef(subjectRef)),
+      sheet
+    )
+  }
+
+  // The cells referring to `ref`, either directly or through a range, as
+  // refs relative to this sheet (see `precedentsOf`).
+  dependentsOf(qualifiedRef) {
+    const { sheetName, ref } = Util.splitQualifiedRef(qualifiedRef)
+    const sheet = this.resolveSheet(sheetName)
+
+    if (!sheet) return []
+
+    return this._canonicalRefs(
+      [
+        ...(sheet.findCell(ref)?.observers ?? []),
+        ...sheet.rangeObserversOf(ref)
+      ],
+      sheet
+    )
+  }
+
+  // How the formula in `ref` evaluates, one operation at a time, without
+  // changing anything: `{ formula, parseError, steps }`, where `parseError`
+  // is the `FormulaError` of a formula which can't be parsed, and `steps`
+  // lists the parts of the formula (refs included) in the order they are
+  // evaluated, as `{ type, start, end, text, value }`, with `text` being
+  // `formula.slice(start, end)`. Null when there's no formula in `ref`.
+  evaluationSteps(ref) {
+    const cell = this.findCell(ref)
+
+    if (!cell?.hasFormula()) return null
+
+    // Shared cells belong to an earlier version of the sheet (see `clone`),
+    // so a copy of the cell reads the latest one.
+    return cell.clone({ sheet: this })._evaluationSteps()
+  }
+
+  // The cells `ref` depends on (for a `direction` of 'precedents') or which
+  // depend on it ('dependents'), level after level up to `maxLevel`, as a
+  // tree listed depth-first: `[{ ref, level, repeated }]`, starting with
+  // `ref` itself at level 0. Cells already listed (e.g. in circular
+  // references) are listed again as `repeated`, without what follows them.
+  trace(ref, direction, maxLevel = Infinity) {
+    const nextRefs =
+      direction === "precedents"
+        ? (nodeRef) => this.precedentsOf(nodeRef)
+        : (nodeRef) => this.dependentsOf(nodeRef)
+    const nodes = []
+    const listed = new Set()
+    const canonicalRef = this.canonicalRef(ref.toUpperCase())
+    // Iterative, as chains of cells might be too long for recursion.
+    const stack = canonicalRef ? [{ ref: canonicalRef, level: 0 }] : []
+
+    while (stack.length > 0) {
+      const node = stack.pop()
+      const repeated = listed.has(node.ref)
+
+      nodes.push({ ...node, repeated })
+      listed.add(node.ref)
+
+      if (!repeated && node.level < maxLevel)
+        stack.push(
+          ...nextRefs(node.ref)
+            .reverse()
+            .map((nextRef) => ({ ref: nextRef, level: node.level + 1 }))
+        )
+    }
+
+    return nodes
+  }
+
+  // Volatile cells (e.g. `=TODAY()`) depend on more than other cells, so they
+  // are recalculated (along with their observers) after every change.
+  recalculateVolatileCells() {
+    this._recalculateCells(this.volatileCells())
+  }
+
+  // Those of the whole workbook.
+  volatileCells() {
+    return this._ownWorkbookCells((cell) => cell.volatile)
+  }
+
+  // The parsed definition of a defined name (see `defineName`), if any.
+  nameDefinition(name) {
+    const definedName = this.names[name.toUpperCase()]
+
+    return definedName && Formula.parse(`=${definedName.definition}`)
+  }
+
+  // The refs (with ranges expanded) the given names stand for, including
+  // those of names used in their definitions.
+  refsInNames(names, visited = new Set()) {
+    const refs = new Set()
+
+    names.forEach((name) => {
+      const definedName = this.names[name]
+
+      if (!definedName || visited.has(name)) return
+
+      visited.add(name)
+
+      const definition = `=${definedName.definition}`
+
+      Util.setAppend(refs, Formula.findRefs(definition))
+      Util.setAppend(
+        refs,
+        this.refsInNames(Formula.findNames(definition), visited)
+      )
+    })
+
+    return refs
+  }
+
+  // Returns a `FormulaError` when `name` can't be defined as `definition`
+  // (replacing `previousName`, or as a new name when null), or null.
+  validateName(name, definition, previousName = null) {
+    const key = name.toUpperCase()
+
+    if (!Formula.isValidName(name))
+      return new Formula.FormulaError(`Invalid name "${name}"`)
+
+    if (this.names[key] && key !== previousName?.toUpperCase())
+      return new Formula.FormulaError(`Name "${name}" already defined`)
+
+    let ast
+
+    try {
+      ast = Formula.parse(`=${definition}`)
+    } catch (e) {
+      if (e instanceof Formula.FormulaError) return e
+
+      throw e
+    }
+
+    // Lambdas may call themselves, e.g. `LAMBDA(n, IF(n < 2, 1, n * Fact(n - 1)))`.
+    const isLambda = ast.type === "call" && ast.name === "LAMBDA"
+
+    if (
+      !isLambda &&
+      this._namesUsedBy(Formula.findNames(`=${definition}`)).has(key)
+    )
+      return new Formula.FormulaError(`Name "${name}" refers to itself`)
+
+    return null
+  }
+
+  // Names map to a cell, a range or any other expression, i.e. a formula
+  // without the leading `=` (e.g. '$B$1', '$A$1:$A$10' or '0.21'). Renaming
+  // a name (`previousName`) rewrites the formulas using it, and all of them
+  // are recalculated.
+  defineName(name, definition, previousName = name) {
+    const error = this.validateName(name, definition, previousName)
+
+    if (error) throw error
+
+    const key = name.toUpperCase()
+    const previousKey = previousName.toUpperCase()
+    const usingCells = this._cellsUsingName(previousKey)
+    const rename = (formula) =>
+      Formula.replaceNames(formula, (usedName) =>
+        usedName.toUpperCase() === previousKey ? name : usedName
+      )
+
+    delete this.names[previousKey]
+    this.names[key] = { name, definition }
+
+    if (key !== previousKey) {
+      Object.entries(this.names).forEach(([otherKey, otherName]) => {
+        this.names[otherKey] = {
+          ...otherName,
+          definition: rename(`=${otherName.definition}`).slice(1)
+        }
+      })
+
+      usingCells.forEach((cell) => {
+        cell._recordChange()
+        cell.value = rename(cell.value)
+      })
+    }
+
+    this._recalculateCells(usingCells)
+  }
+
+  deleteName(name) {
+    const key = name.toUpperCase()
+    const usingCells = this._cellsUsingName(key)
+
+    delete this.names[key]
+
+    this._recalculateCells(usingCells)
+  }
+
+  // Returns a `FormulaError` when the iterative calculation settings (see
+  // `setIteration`) are invalid, or null.
+  validateIteration({ maxIterations, maxChange }) {
+    if (!Number.isInteger(maxIterations) || maxIterations < 1)
+      return new Formula.FormulaError(
+        "Maximum iterations must be a whole number greater than 0"
+      )
+
+    if (!(maxChange >= 0))
+      return new Formula.FormulaError(
+        "Maximum change must be a number not less than 0"
+      )
+
+    return null
+  }
+
+  // When iterative calculation is `enabled`, formulas may refer to
+  // themselves, directly or not: the cells in the cycle are evaluated up to
+  // `maxIterations` times, until no value changes by more than `maxChange`,
+  // or get a #CIRC! error otherwise. Circular formulas are recalculated.
+  setIteration(settings) {
+    const iteration = { ...this.iteration, ...settings }
+    const error = this.validateIteration(iteration)
+
+    if (error) throw error
+
+    this.iteration = iteration
+
+    this._recalculateCells(
+      Recalculation.components(
+        new Set(this._ownWorkbookCells((cell) => cell.hasFormula()))
+      )
+        .filter(
+          (component) =>
+            Recalculation.isCycle(component) &&
+            component.some((cell) => cell.sheet === this)
+        )
+        .flat()
+    )
+  }
+
+  ///////////////////////
+  // Private functions //
+  ///////////////////////
+
+  // The records of the changes to a cell (see `subscribe`) since it had its
+  // `previous` values. Blank values are all reported as null.
+  static _changeRecords(cell, previous) {
+    const { ref } = cell
+    const records = []
+    const orNull = (value) => (Util.isEmpty(value) ? null : value)
+    const [oldInput, newInput] = [previous.value, cell.value].map(orNull)
+    const [oldValue, newValue] = [
+      previous.computedValue,
+      cell.computedValue()
+    ].map(orNull)
+
+    if (oldInput === null && newInput !== null)
+      records.push({ type: "created", ref })
+    if (oldInput !== null && newInput === null)
+      records.push({ type: "removed", ref })
+
+    if (oldInput !== newInput && [oldInput, newInput].some(Util.isFormula))
+      records.push({
+        type: "formula",
+        ref,
+        oldValue: oldInput,
+        newValue: newInput
+      })
+
+    if (!isSameValue(oldValue, newValue)) {
+      records.push({ type: "value", ref, oldValue, newValue })
+
+      if (Errors.isError(newValue))
+        records.push({ type: "error", ref, error: newValue })
+    }
+
+    return records
+  }
+
+  static _isQualified(refOrCoords) {
+    return typeof refOrCoords === "string" && refOrCoords.includes("!")
+  }
+
+  // In a single recalculation, so cells depending on several of them are
+  // evaluated just once.
+  _recalculateCells(cells) {
+    cells.forEach((cell) => cell._updateSubjects())
+
+    Recalculation.run(cells)
+  }
+
+  // All the names `names` depend on, including themselves.
+  _namesUsedBy(names, visited = new Set()) {
+    names.forEach((name) => {
+      if (visited.has(name)) return
+
+      visited.add(name)
+
+      if (this.names[name])
+        this._namesUsedBy(
+          Formula.findNames(`=${this.names[name].definition}`),
+          visited
+        )
+    })
+
+    return visited
+  }
+
+  _cellsUsingName(name) {
+    return this._ownCells(
+      (cell) =>
+        cell.hasFormula() &&
+        this._namesUsedBy(Formula.findNames(cell.value)).has(name)
+    )
+  }
+
+  // `refs` relative to `sheet` as relative to this one, once each.
+  _canonicalRefs(refs, sheet) {
+    return [
+      ...new Set(refs.map((ref) => this.canonicalRef(sheet.qualify(ref))))
+    ].filter(Boolean)
+  }
+
+  // Copies `cell` into this sheet when shared with a previous version of it
+  // (see `clone`).
+  _own(cell) {
+    if (!cell || cell.sheet === this) return cell
+
+    const ownCell = cell.clone({ modified: false, sheet: this })
+
+    this._unshareMaps()
+
+    this.cells[cell.ref] = ownCell
+
+    return ownCell
+  }
+
+  // Copies the maps of cells and range observers shared with the sheet this
+  // one was cloned from (see `clone`), before changing them.
+  _unshareMaps() {
+    if (!this.sharesMaps) return
+
+    this.cells = { ...this.cells }
+    this.rangeObservers = { ...this.rangeObservers }
+    this.rangeIndex = this.rangeIndex.clone()
+    this.sharesMaps = false
+  }
+
+  // The cells satisfying `predicate`, ready for changes (see `_own`).
+  _ownCells(predicate) {
+    return Object.values(this.cells)
+      .filter(predicate)
+      .map((cell) => this._own(cell))
+  }
+
+  _ownWorkbookCells(predicate) {
+    return (this.workbook?.sheets ?? [this]).flatMap((sheet) =>
+      sheet._ownCells(predicate)
+    )
+  }
+
+  // All the cells get their values before any of them is evaluated.
+  _loadInitialCellData(initialCellData) {
+    this._recalculateCells(
+      Object.entries(initialCellData).map(([ref, value]) => {
+        const cell = this.findOrCreateCell(ref)
+
+        cell.value = value
+        cell.modified = true
+
+        return cell
+      })
+    )
+  }
+
+  // Including those of the whole workbook (see `Workbook#subscribe`).
+  _hasListeners() {
+    return (
+      this.subscriptions.listeners.size > 0 || this.workbook?.listeners.size > 0
+    )
+  }
+
+  // With the changes recorded since the last time (see `subscribe`).
+  _notifyListeners() {
+    const { listeners, changes } = this.subscriptions
+    const records = [...changes].flatMap(([ref, previous]) =>
+      Sheet._changeRecords(this.findCell(ref), previous)
+    )
+
+    changes.clear()
+
+    if (records.length === 0) return
+
+    listeners.forEach(({ listener, ref }) => {
+      const cellRecords = ref
+        ? records.filter((record) => record.ref === ref)
+        : records
+
+      if (cellRecords.length > 0) listener(cellRecords, this)
+    })
+
+    if (this.workbook)
+      this.workbook.listeners.forEach((listener) => listener(records, this))
+  }
+}
+
+// A set of named sheets, whose formulas can refer to cells in any of them
+// (e.g. `=Sheet2!A1` or `=SUM('Q1 Budget'!B2:B9)`).
+class Workbook {
+  // Those which can be performed from data (see `perform`).
+  static OPERATIONS = {
+    workbook: ["addSheet", "renameSheet", "moveSheet", "deleteSheet"],
+    sheet: ["defineName", "deleteName", "setIteration", "paste"]
+  }
+
+  // `initialSheetsData` maps sheet names to their initial cell data, in
+  // order. All sheets exist before any cell is loaded, so formulas can refer
+  // to sheets which come later.
+  constructor(initialSheetsData = { [Sheet.DEFAULT_NAME]: {} }) {
+    this.listeners = new Set() // Shared with clones (see `subscribe`).
+    this.sheets = Object.keys(initialSheetsData).map(
+      (name) => new Sheet({}, {}, { name, workbook: this })
+    )
+
+    this.sheets.forEach((sheet) => {
+      sheet._loadInitialCellData(initialSheetsData[sheet.name])
+    })
+  }
+
+  static create() {
+    return Object.create(this.prototype)
+  }
+
+  // Cells are shared with the original workbook (see `Sheet#clone`).
+  clone() {
+    const clone = Workbook.create()
+
+    clone.listeners = this.listeners
+    clone.sheets = this.sheets.map((sheet) => sheet.clone(clone))
+
+    return clone
+  }
+
+  // A workbook with the same sheets, names and cell values as the one
+  // `data` comes from (see `toData`), e.g. in a worker.
+  static fromData(data) {
+    const workbook = Workbook.create()
+
+    workbook.listeners = new Set()
+    workbook.sheets = data.sheets.map(
+      ({ name, names, iteration }) =>
+        new Sheet({}, names, { name, workbook, iteration })
+    )
+
+    workbook.sheets.forEach((sheet, i) => {
+      sheet._loadInitialCellData(data.sheets[i].cells)
+    })
+
+    return workbook
+  }
+
+  // The sheets' names, defined names, iteration settings and (non-blank)
+  // cell values, as plain data.
+  toData() {
+    return {
+      sheets: this.sheets.map((sheet) => ({
+        name: sheet.name,
+        names: Object.fromEntries(
+          Object.values(sheet.names).map(({ name, definition }) => [
+            name,
+            definition
+          ])
+        ),
+        iteration: { ...sheet.iteration },
+        cells: Object.fromEntries(
+          Object.values(sheet.cells)
+            .filter((cell) => !Util.isEmpty(cell.value))
+            .map((cell) => [cell.ref, cell.value])
+        )
+      }))
+    }
+  }
+
+  // As with `Sheet#subscribe`, but for the changes to all the sheets, each
+  // sheet's changes being passed along with the sheet.
+  subscribe(listener) {
+    this.listeners.add(listener)
+
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  // Listeners are otherwise notified at the end of each recalculation, which
+  // doesn't happen when cells take results from elsewhere (see
+  // `Cell#setComputedState`).
+  notifyListeners() {
+    this.sheets.forEach((sheet) => sheet._notifyListeners())
+  }
+
+  // Sheet names are case-insensitive.
+  findSheet(name) {
+    return this.sheets.find(
+      (sheet) => sheet.name.toUpperCase() === name.toUpperCase()
+    )
+  }
+
+  // Returns a `FormulaError` when a sheet can't be named `name` (replacing
+  // `previousName`, or as a new sheet when null), or null.
+  validateSheetName(name, previousName = null) {
+    if (!Util.isValidSheetName(name))
+      return new Formula.FormulaError(`Invalid sheet name "${name}"`)
+
+    const sheet = this.findSheet(name)
+
+    if (sheet && sheet !== this.findSheet(previousName ?? ""))
+      return new Formula.FormulaError(`Sheet "${name}" already exists`)
+
+    return null
+  }
+
+  // Formulas already referring to `name` (as an unknown sheet) are
+  // recalculated.
+  addSheet(name = this.nextSheetName()) {
+    const error = this.validateSheetName(name)
+
+    if (error) throw error
+
+    const sheet = new Sheet({}, {}, { name, workbook: this })
+
+    this.sheets.push(sheet)
+    this._recalculateCells(this._cellsReferringTo(name))
+
+    return sheet
+  }
+
+  // Rewrites the formulas (and name definitions) referring to the sheet.
+  renameSheet(name, newName) {
+    const sheet = this._existingSheet(name)
+    const error = this.validateSheetName(newName, name)
+
+    if (error) throw error
+
+    const previousName = sheet.name
+    const renameRef = (qualifiedRef) => {
+      const { sheetName, ref } = Util.splitQualifiedRef(qualifiedRef)
+
+      return sheetName === previousName
+        ? Util.qualifiedRef(newName, ref)
+        : qualifiedRef
+    }
+
+    this._replaceSheetRefs(previousName, newName).forEach((cell) => {
+      cell.modified = true
+    })
+
+    // Subjects and observers in other sheets have the sheet's name as well.
+    this.sheets.forEach((otherSheet) => {
+      otherSheet
+        ._ownCells((cell) =>
+          [...cell.subjects, ...cell.observers].some(
+            (ref) => renameRef(ref) !== ref
+          )
+        )
+        .forEach((cell) => {
+          cell.subjects = new Set([...cell.subjects].map(renameRef))
+          cell.observers = new Set([...cell.observers].map(renameRef))
+        })
+
+      otherSheet._unshareMaps()
+
+      Object.entries(otherSheet.rangeObservers).forEach(
+        ([range, observers]) => {
+          otherSheet.rangeObservers[range] = new Set(
+            [...observers].map(renameRef)
+          )
+        }
+      )
+    })
+
+    sheet.name = newName
+
+    // Formulas referring to the new name (as an unknown sheet) now work.
+    this._recalculateCells(this._cellsReferringTo(newName))
+
+    // Any changes left, e.g. to formulas which weren't recalculated.
+    this.notifyListeners()
+  }
+
+  moveSheet(name, index) {
+    const sheet = this._existingSheet(name)
+
+    this.sheets = this.sheets.filter((other) => other !== sheet)
+    this.sheets.splice(Math.max(0, index), 0, sheet)
+  }
+
+  // Refs to the deleted sheet become #REF! errors.
+  deleteSheet(name) {
+    const sheet = this._existingSheet(name)
+
+    if (this.sheets.length === 1)
+      throw new Formula.FormulaError("A workbook must have at least one sheet")
+
+    const referringCells = this._cellsReferringTo(sheet.name).filter(
+      (cell) => cell.sheet !== sheet
+    )
+
+    this._replaceSheetRefs(sheet.name, null).forEach((cell) => {
+      cell.modified = true
+    })
+
+    this._recalculateCells(referringCells)
+
+    // Cells in other sheets must no longer be observed by the deleted ones.
+    sheet
+      ._ownCells((cell) => cell.subjects.size > 0)
+      .forEach((cell) => cell._setSubjects(new Set()))
+
+    this.sheets = this.sheets.filter((other) => other !== sheet)
+  }
+
+  workbookCells() {
+    return this.sheets.flatMap((sheet) => Object.values(sheet.cells))
+  }
+
+  // Performs an operation given as data, so it can be posted to a worker as
+  // well (see `Calculator`): `{ method, args }` for one of the workbook's
+  // `OPERATIONS`, or `{ sheetName, method, args }` for one of a sheet's, e.g.
+  // `{ sheetName: 'Sheet1', method: 'deleteName', args: ['TaxRate'] }`.
+  perform({ sheetName = null, method, args = [] }) {
+    const target = sheetName === null ? this : this.findSheet(sheetName)
+    const methods =
+      Workbook.OPERATIONS[sheetName === null ? "workbook" : "sheet"]
+
+    if (!target) throw new Error(`Unknown sheet "${sheetName}"`)
+
+    if (!methods.includes(method))
+      throw new Error(`Unknown operation "${method}"`)
+
+    return target[method](...args)
+  }
+
+  // The first free name among 'Sheet2', 'Sheet3' and so on.
+  nextSheetName() {
+    let number = this.sheets.length + 1
+
+    while (this.findSheet(`Sheet${number}`)) number++
+
+    return `Sheet${number}`
+  }
+
+  ///////////////////////
+  // Private functions //
+  ///////////////////////
+
+  // The sheet named `name`, or an error thrown when there's none.
+  _existingSheet(name) {
+    const sheet = this.findSheet(name)
+
+    if (!sheet) throw new Formula.FormulaError(`Unknown sheet "${name}"`)
+
+    return sheet
+  }
+
+  // Formula cells referring to the sheet named `name`, whether directly or
+  // through defined names.
+  _cellsReferringTo(name) {
+    const refersToSheet = (ref) =>
+      Util.splitQualifiedRef(ref).sheetName?.toUpperCase() ===
+      name.toUpperCase()
+
+    return this.sheets.flatMap((sheet) =>
+      sheet._ownCells(
+        (cell) =>
+          cell.hasFormula() &&
+          [
+            ...Formula.findRefs(cell.value),
+            ...sheet.refsInNames(Formula.findNames(cell.value))
+          ].some(refersToSheet)
+      )
+    )
+  }
+
+  // Rewrites refs to the sheet named `name` in name definitions and cell
+  // formulas, without recalculating them. Returns the rewritten cells.
+  _replaceSheetRefs(name, newName) {
+    const replace = (formula) =>
+      Formula.replaceSheetRefs(formula, name, newName)
+
+    this.sheets.forEach((sheet) => {
+      Object.entries(sheet.names).forEach(([key, definedName]) => {
+        sheet.names[key] = {
+          ...definedName,
+          definition: replace(`=${definedName.definition}`).slice(1)
+        }
+      })
+    })
+
+    return this.sheets.flatMap((sheet) =>
+      sheet
+        ._ownCells(
+          (cell) => cell.hasFormula() && replace(cell.value) !== cell.value
+        )
+        .map((cell) => {
+          cell._recordChange()
+          cell.value = replace(cell.value)
+
+          return cell
+        })
+    )
+  }
+
+  _recalculateCells(cells) {
+    cells.forEach((cell) => cell._updateSubjects())
+
+    Recalculation.run(cells)
+  }
+}
+
+// `newSettings` are merged into the current ones (see `settings`).
+const configure = (newSettings) => {
+  Object.assign(settings, newSettings)
+}
+
+const Engine = { Cell, Recalculation, Sheet, Workbook, configure }
+
+export default Engine
@@ -0,0 +1,1136 @@
+import Engine from "./engine"
+import Errors from "./errors"
+import Dates from "./dates"
+import Util from "./util"
+
+const { Recalculation, Sheet, Workbook } = Engine
+
+// A clone of the sheet with `data`, as the app edits on every change.
+const sheetWith = (data) => new Sheet(data).clone()
+
+// A clone of the workbook with `sheetsData`, as for `sheetWith`.
+const workbookWith = (sheetsData) => new Workbook(sheetsData).clone()
+
+// A clone of `sheet` (or workbook) changed by `change(clone)`, as the app
+// does.
+const changed = (sheet, change) => {
+  const clone = sheet.clone()
+
+  change(clone)
+
+  return clone
+}
+
+const edited = (sheet, ref, value) =>
+  changed(sheet, (clone) => clone.updateOrCreateCell(ref, value))
+
+// The value (or error) of the cell at `ref`, or null for none.
+const valueAt = (sheet, ref) => {
+  const cell = sheet.findCell(ref)
+
+  return cell?.error ?? cell?.evaluatedValue ?? null
+}
+
+// The value (or error) of `formula` in a sheet with `data`.
+const evaluate = (formula, data = {}) =>
+  valueAt(sheetWith({ ...data, Z99: formula }), "Z99")
+
+describe("Engine API", () => {
+  it("reads values as entered and as computed", () => {
+    const workbook = new Workbook({ Sales: { A1: 10, A2: 20 }, Other: {} })
+    const sheet = workbook.findSheet("Sales")
+    const other = workbook.findSheet("Other")
+
+    sheet.setValue("A3", "=SUM(A1:A2)")
+    other.setValue("A1", "=Sales!A3*2")
+
+    expect(sheet.getValue("A3")).toBe("=SUM(A1:A2)")
+    expect(sheet.getComputedValue("A3")).toBe(30)
+    expect(sheet.getValue("B9")).toBeNull()
+    expect(sheet.getComputedValue("B9")).toBeNull()
+    expect(sheet.getComputedValue("Other!A1")).toBe(60)
+    expect(
+      sheet.allCells().map((cell) => [cell.ref, cell.evaluatedValue])
+    ).toEqual([
+      ["A1", 10],
+      ["A2", 20],
+      ["A3", 30]
+    ])
+  })
+
+  it("recalculates values set together once, as a whole", () => {
+    const sheet = new Workbook({ Sales: { A3: "=A1+A2" } }).findSheet("Sales")
+    const run = jest.spyOn(Recalculation, "run")
+    const listener = jest.fn()
+
+    sheet.subscribe(listener, "A3")
+    sheet.setValues({ A1: 1, A2: 2 })
+
+    expect(sheet.getComputedValue("A3")).toBe(3)
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0]).toEqual([
+      { type: "value", ref: "A3", oldValue: 0, newValue: 3 }
+    ])
+
+    run.mockRestore()
+  })
+
+  it("sets none of the values when a sheet is unknown", () => {
+    const sheet = new Workbook({ Sales: { A1: 1 } }).findSheet("Sales")
+
+    expect(() => sheet.setValues({ A1: 2, "Nope!A1": 3 })).toThrow(
+      "Unknown sheet in Nope!A1"
+    )
+    expect(sheet.getComputedValue("A1")).toBe(1)
+  })
+
+  it("restores workbooks from their data", () => {
+    const workbook = new Workbook({ S1: { A1: 2, A2: "=A1*Rate" }, S2: {} })
+
+    workbook.findSheet("S1").defineName("Rate", "3")
+    workbook.findSheet("S2").setIteration({ enabled: true })
+
+    const copy = Workbook.fromData(
+      JSON.parse(JSON.stringify(workbook.toData()))
+    )
+
+    expect(copy.toData()).toEqual(workbook.toData())
+    expect(copy.findSheet("S1").getComputedValue("A2")).toBe(6)
+    expect(copy.findSheet("S2").iteration.enabled).toBe(true)
+  })
+})
+
+describe("Listeners", () => {
+  it("hear about all the changes of a recalculation at once", () => {
+    const sheet = new Workbook({ S1: { A1: 1, A2: "=A1*2" } }).findSheet("S1")
+    const listener = jest.fn()
+
+    sheet.subscribe(listener)
+    sheet.setValues({ A1: "=1/0", B1: "x" })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0]).toEqual([
+      {
+        type: "formula",
+        ref: "A1",
+        oldValue: 1,
+        newValue: "=1/0"
+      },
+      {
+        type: "value",
+        ref: "A1",
+        oldValue: 1,
+        newValue: expect.objectContaining({ code: Errors.CODES.DIV0 })
+      },
+      {
+        type: "error",
+        ref: "A1",
+        error: expect.objectContaining({ code: Errors.CODES.DIV0 })
+      },
+      { type: "created", ref: "B1" },
+      { type: "value", ref: "B1", oldValue: null, newValue: "x" },
+      {
+        type: "value",
+        ref: "A2",
+        oldValue: 2,
+        newValue: expect.objectContaining({ code: Errors.CODES.DIV0 })
+      },
+      {
+        type: "error",
+        ref: "A2",
+        error: expect.objectContaining({ code: Errors.CODES.DIV0 })
+      }
+    ])
+    expect(listener.mock.calls[0][1]).toBe(sheet)
+  })
+
+  it("hear about removed cells, and stop once unsubscribed", () => {
+    const workbook = new Workbook({ S1: { A1: 1 } })
+    const sheet = workbook.findSheet("S1")
+    const cellListener = jest.fn()
+    const workbookListener = jest.fn()
+    const unsubscribe = sheet.subscribe(cellListener, "A1")
+
+    workbook.subscribe(workbookListener)
+    sheet.setValue("A1", "")
+
+    expect(cellListener.mock.calls[0][0]).toEqual([
+      { type: "removed", ref: "A1" },
+      { type: "value", ref: "A1", oldValue: 1, newValue: null }
+    ])
+    expect(workbookListener).toHaveBeenCalledTimes(1)
+
+    unsubscribe()
+    sheet.setValue("A1", 2)
+
+    expect(cellListener).toHaveBeenCalledTimes(1)
+    expect(workbookListener).toHaveBeenCalledTimes(2)
+  })
+
+  it("hear about formulas rewritten when a sheet is renamed", () => {
+    const workbook = new Workbook({ S1: { A1: 1 }, S2: { A1: "=S1!A1+1" } })
+    const listener = jest.fn()
+
+    workbook.subscribe(listener)
+    workbook.renameSheet("S1", "Data")
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0]).toEqual([
+      {
+        type: "formula",
+        ref: "A1",
+        oldValue: "=S1!A1+1",
+        newValue: "=Data!A1+1"
+      }
+    ])
+  })
+
+  it("hear about spilled values from elsewhere only when they change", () => {
+    const workbook = new Workbook({ S1: { A1: "=SEQUENCE(3)" } })
+    const copy = Workbook.fromData(workbook.toData())
+    const anchor = copy.findSheet("S1").findCell("A1")
+    const clone = workbook.clone()
+    const cell = clone.findSheet("S1").findOwnCell("A1")
+
+    cell.setComputedState(anchor.computedState())
+
+    expect(cell.modified).toBe(false)
+
+    copy.findSheet("S1").setValue("A1", "=SEQUENCE(3,1,2)")
+    cell.setComputedState(anchor.computedState())
+
+    expect(cell.modified).toBe(true)
+  })
+})
+
+describe("Tracing", () => {
+  const workbook = new Workbook({
+    S1: { A1: 1, A2: 2, B1: "=SUM(A1:A3)", C1: "=B1*A1", D1: "=S2!A1" },
+    S2: { A1: "=S1!C1+1" }
+  })
+  const sheet = workbook.findSheet("S1")
+
+  it("finds precedents and dependents, through ranges and sheets", () => {
+    expect(sheet.precedentsOf("B1").sort()).toEqual(["A1", "A2"])
+    expect(sheet.precedentsOf("D1")).toEqual(["S2!A1"])
+    expect(sheet.precedentsOf("A1")).toEqual([])
+    expect(sheet.dependentsOf("A1").sort()).toEqual(["B1", "C1"])
+    expect(sheet.dependentsOf("A3")).toEqual(["B1"])
+    expect(sheet.dependentsOf("C1")).toEqual(["S2!A1"])
+    expect(workbook.findSheet("S2").dependentsOf("A1")).toEqual(["S1!D1"])
+  })
+
+  it("lists the tree of cells traced, level after level", () => {
+    expect(sheet.trace("D1", "precedents")).toEqual([
+      { ref: "D1", level: 0, repeated: false },
+      { ref: "S2!A1", level: 1, repeated: false },
+      { ref: "C1", level: 2, repeated: false },
+      { ref: "B1", level: 3, repeated: false },
+      { ref: "A1", level: 4, repeated: false },
+      { ref: "A2", level: 4, repeated: false },
+      { ref: "A1", level: 3, repeated: true }
+    ])
+    expect(sheet.trace("a1", "dependents", 1).map(({ ref }) => ref)).toEqual([
+      "A1",
+      "C1",
+      "B1"
+    ])
+    expect(sheet.trace("S3!A1", "dependents")).toEqual([])
+  })
+})
+
+describe("Evaluation steps", () => {
+  const sheet = new Workbook({
+    S1: {
+      A1: 2,
+      A2: 3,
+      B1: "=SUM(A1:A2)*2",
+      B2: "=1+",
+      B3: "=IF(A1>1,A2/0,1)",
+      B4: "=SUM(A1,,2)"
+    }
+  }).findSheet("S1")
+  const stepsOf = (ref) =>
+    sheet.evaluationSteps(ref).steps.map(({ text, value }) => [text, value])
+
+  it("list the parts of formulas in the order they are evaluated", () => {
+    expect(stepsOf("B1")).toEqual([
+      ["A1:A2", [[2], [3]]],
+      ["SUM(A1:A2)", 5],
+      ["SUM(A1:A2)*2", 10]
+    ])
+    expect(sheet.evaluationSteps("B1").steps[1]).toMatchObject({
+      type: "call",
+      start: 1,
+      end: 11
+    })
+    expect(sheet.evaluationSteps("A1")).toBeNull()
+  })
+
+  it("leave out literals and omitted arguments", () => {
+    expect(stepsOf("B4")).toEqual([
+      ["A1", 2],
+      ["SUM(A1,,2)", 4]
+    ])
+  })
+
+  it("skip branches not taken, and show where errors appear", () => {
+    const steps = stepsOf("B3")
+
+    expect(steps.map(([text]) => text)).toEqual([
+      "A1",
+      "A1>1",
+      "A2",
+      "A2/0",
+      "IF(A1>1,A2/0,1)"
+    ])
+    expect(steps[3][1].code).toBe(Errors.CODES.DIV0)
+    expect(sheet.getComputedValue("B3").code).toBe(Errors.CODES.DIV0)
+  })
+
+  it("give the error of formulas which can't be parsed", () => {
+    const { parseError, steps } = sheet.evaluationSteps("B2")
+
+    expect(parseError.message).toBe("Unexpected end of formula at position 4")
+    expect(steps).toEqual([])
+  })
+})
+
+describe("Anchored refs", () => {
+  it("are kept as they are when copied", () => {
+    const sheet = sheetWith({
+      A1: 1,
+      B1: 2,
+      A2: 3,
+      B2: 4,
+      C1: "=A1+$A$1+A$1+$A1"
+    })
+
+    sheet.findOwnCell("C1").copyTo("D2")
+
+    expect(sheet.findCell("D2").value).toBe("=B2+$A$1+B$1+$A2")
+    expect(sheet.findCell("D2").evaluatedValue).toBe(10)
+  })
+
+  it("follow the cells moved, anchors and all", () => {
+    const sheet = sheetWith({
+      A1: 5,
+      B1: "=$A$1*2",
+      B2: "=A$1+$A1",
+      B3: "=SUM($A$1:A2)"
+    })
+
+    sheet.findOwnCell("A1").moveTo("C3", ["A1"])
+
+    expect(sheet.findCell("B1").value).toBe("=$C$3*2")
+    expect(sheet.findCell("B2").value).toBe("=C$3+$C3")
+    expect(sheet.findCell("B3").value).toBe("=SUM($A$1:A2)")
+    expect(sheet.findCell("B1").evaluatedValue).toBe(10)
+  })
+
+  it("are watched as the cells they refer to", () => {
+    const sheet = sheetWith({ A1: 1, A2: 2, B1: "=SUM($A$1:A$2)+$A1" })
+
+    sheet.updateOrCreateCell("A2", 10)
+
+    expect(sheet.findCell("B1").evaluatedValue).toBe(12)
+  })
+})
+
+describe("Errors", () => {
+  it("propagate to dependent cells", () => {
+    const sheet = sheetWith({ A1: "=1/0", A2: "=A1+1", A3: "=SUM(A1:A2)" })
+
+    expect(sheet.findCell("A2").error.code).toBe(Errors.CODES.DIV0)
+    expect(sheet.findCell("A3").error.code).toBe(Errors.CODES.DIV0)
+    expect(sheet.findCell("A3").evaluatedValue).toBeNull()
+  })
+
+  it("have a code for each kind of problem", () => {
+    const sheet = sheetWith({ A1: "=1+", A2: "=#N/A", C2: "=C1+1" })
+
+    sheet.updateOrCreateCell("B1", "=B1")
+    sheet.findOwnCell("C2").copyTo("C1")
+
+    expect(sheet.findCell("A1").error.code).toBe(Errors.CODES.ERROR)
+    expect(sheet.findCell("A2").error.code).toBe(Errors.CODES.NA)
+    expect(sheet.findCell("B1").error.code).toBe(Errors.CODES.CIRC)
+    expect(sheet.findCell("C1").value).toBe("=#REF!+1")
+    expect(sheet.findCell("C1").error.code).toBe(Errors.CODES.REF)
+  })
+})
+
+describe("Recalculation", () => {
+  it("evaluates cells after all of their subjects", () => {
+    let sheet = sheetWith({ A1: 1, B1: "=A1*2", C1: "=A1+B1", D1: "=B1+C1" })
+
+    sheet = edited(sheet, "A1", 2)
+
+    expect(valueAt(sheet, "C1")).toBe(6)
+    expect(valueAt(sheet, "D1")).toBe(10)
+  })
+
+  it("watches a range again after it stopped being watched", () => {
+    let sheet = sheetWith({ A1: 1, A2: 2, A3: 3 })
+
+    sheet = edited(sheet, "B1", "=SUM(A1:A3)")
+    sheet = edited(sheet, "B1", "=1")
+    sheet = edited(sheet, "B1", "=SUM(A1:A3)")
+    sheet = edited(sheet, "A2", 20)
+
+    expect(valueAt(sheet, "B1")).toBe(24)
+  })
+
+  it("finds circular references at the end of long chains of cells", () => {
+    const data = { A1: 1 }
+    for (let i = 2; i <= 20000; i++) data[`A${i}`] = `=A${i - 1}+1`
+
+    const sheet = edited(sheetWith(data), "A1", '=INDIRECT("A20000")')
+
+    expect(valueAt(sheet, "A20000").code).toBe(Errors.CODES.CIRC)
+  })
+})
+
+describe("Booleans", () => {
+  it("are held by cells", () => {
+    const sheet = sheetWith({
+      A1: true,
+      A2: "=NOT(A1)",
+      A3: "=A1=TRUE",
+      A4: "=A1+A1"
+    })
+
+    expect(sheet.findCell("A1").evaluatedValue).toBe(true)
+    expect(sheet.findCell("A2").evaluatedValue).toBe(false)
+    expect(sheet.findCell("A3").evaluatedValue).toBe(true)
+    expect(sheet.findCell("A4").evaluatedValue).toBe(2)
+  })
+
+  it("come from conditions, with omitted values shown as 0", () => {
+    const sheet = sheetWith({
+      A1: "=IF(FALSE,1,)",
+      A2: "=IF(TRUE,,2)",
+      A3: "=A1+A2+1"
+    })
+
+    expect(sheet.findCell("A1").evaluatedValue).toBe(0)
+    expect(sheet.findCell("A2").evaluatedValue).toBe(0)
+    expect(sheet.findCell("A3").evaluatedValue).toBe(1)
+  })
+})
+
+describe("Text", () => {
+  it("is held by cells, and joined by formulas", () => {
+    const sheet = sheetWith({ A1: "total", A2: 3, A3: '=UPPER(A1)&": "&A2' })
+
+    expect(sheet.findCell("A3").evaluatedValue).toBe("TOTAL: 3")
+
+    sheet.updateOrCreateCell("A1", "sum")
+
+    expect(sheet.findCell("A3").evaluatedValue).toBe("SUM: 3")
+  })
+})
+
+describe("Lookups", () => {
+  it("recalculate when the table they look into changes", () => {
+    let sheet = sheetWith({
+      A1: "apple",
+      A2: "pear",
+      B1: 1,
+      B2: 2,
+      C1: '=INDEX(B1:B2,MATCH("pear",A1:A2,0))',
+      C2: "=SUM(OFFSET(A1,0,1,2,1))",
+      C3: '=INDIRECT("B2")*10',
+      C4: '=SUM(INDIRECT("B2:B1"))'
+    })
+
+    expect(sheet.findCell("C1").evaluatedValue).toBe(2)
+
+    sheet = edited(sheet, "B2", 5)
+
+    expect(sheet.findCell("C1").evaluatedValue).toBe(5)
+    expect(sheet.findCell("C2").evaluatedValue).toBe(6)
+    expect(sheet.findCell("C3").evaluatedValue).toBe(50)
+    expect(sheet.findCell("C4").evaluatedValue).toBe(6)
+
+    sheet = edited(sheet, "A1", "pear")
+    sheet = edited(sheet, "B1", 7)
+
+    expect(sheet.findCell("C1").evaluatedValue).toBe(7)
+    expect(sheet.findCell("C2").evaluatedValue).toBe(12)
+    expect(sheet.findCell("C4").evaluatedValue).toBe(12)
+  })
+})
+
+describe("Aggregate functions", () => {
+  const DATA = { A1: 1, A2: 2, B1: "text", B2: true, B3: "" }
+
+  it("ignore text and booleans in single cells, as in ranges", () => {
+    expect(evaluate("=SUM(B1)", DATA)).toBe(0)
+    expect(evaluate("=SUM(A1,B2)", DATA)).toBe(1)
+    expect(evaluate("=COUNT(B2)", DATA)).toBe(0)
+    expect(evaluate("=COUNT(A1,B1:B2)", DATA)).toBe(1)
+    expect(evaluate("=MAX(A2,B1)", DATA)).toBe(2)
+    expect(evaluate("=MEDIAN(A1,A2,B2)", DATA)).toBe(1.5)
+    expect(evaluate("=LARGE(A1,1)", DATA)).toBe(1)
+  })
+
+  it("convert scalars given directly", () => {
+    expect(evaluate("=SUM(A1,TRUE)", DATA)).toBe(2)
+    expect(evaluate("=COUNT(TRUE)", DATA)).toBe(1)
+    expect(evaluate('=SUM("text")', DATA).code).toBe(Errors.CODES.VALUE)
+  })
+
+  it("find no numbers in blank or text cells", () => {
+    expect(evaluate("=AVERAGE(B1,B3)", DATA).code).toBe(Errors.CODES.DIV0)
+    expect(evaluate("=STDEV(A1,B1)", DATA).code).toBe(Errors.CODES.DIV0)
+  })
+
+  it("tell blank cells from empty text", () => {
+    const data = { A1: 0, A2: '=""', A3: "text", A5: false }
+
+    expect(evaluate("=COUNTA(A1:A5)", data)).toBe(4)
+    expect(evaluate("=COUNTBLANK(A1:A5)", data)).toBe(2)
+    expect(evaluate("=COUNTA(A4)", data)).toBe(0)
+    expect(evaluate("=COUNTBLANK(A2)", data)).toBe(1)
+    expect(evaluate('=COUNTIF(A1:A5,"")', data)).toBe(2)
+    expect(evaluate('=COUNTIF(A1:A5,"<>")', data)).toBe(3)
+  })
+})
+
+describe("Criteria-based aggregates", () => {
+  const DATA = {
+    A1: 50,
+    A2: 100,
+    A3: 150,
+    A4: 200,
+    B1: "done",
+    B2: "open",
+    B3: "Done",
+    B4: "pending",
+    C1: "apple",
+    C2: "apricot",
+    C3: "banana",
+    C4: "a?c"
+  }
+
+  it("compare numbers and text", () => {
+    expect(evaluate('=SUMIF(A1:A4,">=100")', DATA)).toBe(450)
+    expect(evaluate("=SUMIF(A1:A4,100)", DATA)).toBe(100)
+    expect(evaluate('=SUMIF(B1:B4,"<>done",A1:A4)', DATA)).toBe(300)
+    expect(evaluate('=COUNTIF(B1:B4,"done")', DATA)).toBe(2)
+    expect(evaluate('=COUNTIF(A1:A4,"<100")', DATA)).toBe(1)
+    expect(evaluate('=COUNTIF(B1:B4,">100")', DATA)).toBe(0)
+  })
+
+  it("match text with wildcards", () => {
+    expect(evaluate('=SUMIF(C1:C4,"ap*",A1:A4)', DATA)).toBe(150)
+    expect(evaluate('=COUNTIF(C1:C4,"?????")', DATA)).toBe(1)
+    expect(evaluate('=COUNTIF(C1:C4,"a~?c")', DATA)).toBe(1)
+    expect(evaluate('=COUNTIF(C1:C4,"<>a*")', DATA)).toBe(1)
+  })
+
+  it("combine several criteria", () => {
+    expect(evaluate('=SUMIFS(A1:A4,B1:B4,"done",C1:C4,"b*")', DATA)).toBe(150)
+    expect(evaluate('=COUNTIFS(A1:A4,">=100",B1:B4,"<>done")', DATA)).toBe(2)
+    expect(evaluate('=AVERAGEIF(B1:B4,"done",A1:A4)', DATA)).toBe(100)
+    expect(
+      evaluate('=AVERAGEIFS(A1:A4,B1:B4,"<>done",A1:A4,">150")', DATA)
+    ).toBe(200)
+    expect(evaluate('=MAXIFS(A1:A4,B1:B4,"done")', DATA)).toBe(150)
+    expect(evaluate('=MINIFS(A1:A4,C1:C4,"a*")', DATA)).toBe(50)
+  })
+
+  it("give errors for no matches to average or ranges of other sizes", () => {
+    expect(evaluate('=AVERAGEIF(B1:B4,"none",A1:A4)', DATA).code).toBe(
+      Errors.CODES.DIV0
+    )
+    expect(evaluate('=MAXIFS(A1:A4,B1:B4,"none")', DATA)).toBe(0)
+    expect(evaluate('=SUMIFS(A1:A4,B1:B3,"done")', DATA).code).toBe(
+      Errors.CODES.VALUE
+    )
+  })
+})
+
+describe("Dates", () => {
+  it("are entered as text, and displayed as dates by formulas using them", () => {
+    const sheet = sheetWith({
+      A1: "2026-10-18",
+      A2: "2026-10-18 14:30",
+      A3: "2026-02-30",
+      B1: "=A1+7",
+      B2: "=B1-A1",
+      B3: "=EDATE(A1,1)"
+    })
+
+    expect(sheet.findCell("A1").evaluatedValue).toBe(
+      evaluate("=DATE(2026,10,18)")
+    )
+    expect(sheet.findCell("A1").format).toBe(Dates.FORMATS.date)
+    expect(sheet.findCell("A2").evaluatedValue % 1).toBeCloseTo(14.5 / 24)
+    expect(sheet.findCell("A2").format).toBe(Dates.FORMATS.datetime)
+    expect(sheet.findCell("A3").evaluatedValue).toBe("2026-02-30")
+    expect(sheet.findCell("A3").format).toBeNull()
+    expect(sheet.findCell("B1").format).toBe(Dates.FORMATS.date)
+    expect(sheet.findCell("B2").evaluatedValue).toBe(7)
+    expect(sheet.findCell("B2").format).toBeNull()
+    expect(sheet.findCell("B3").format).toBe(Dates.FORMATS.date)
+  })
+
+  it("of TODAY and NOW are recalculated after every change", () => {
+    const now = jest.spyOn(Dates, "now").mockReturnValue(45000.5)
+    let sheet = sheetWith({ A1: "=TODAY()", A2: "=NOW()", A3: "=A1+1" })
+
+    expect(sheet.findCell("A1").evaluatedValue).toBe(45000)
+    expect(sheet.findCell("A2").evaluatedValue).toBe(45000.5)
+    expect(sheet.findCell("A3").evaluatedValue).toBe(45001)
+    expect(sheet.findCell("A3").volatile).toBe(false)
+
+    now.mockReturnValue(45001.25)
+    sheet = edited(sheet, "B1", 1)
+    sheet.recalculateVolatileCells()
+
+    expect(sheet.findCell("A1").evaluatedValue).toBe(45001)
+    expect(sheet.findCell("A2").evaluatedValue).toBe(45001.25)
+    expect(sheet.findCell("A3").evaluatedValue).toBe(45002)
+
+    now.mockRestore()
+  })
+})
+
+describe("Statistical functions", () => {
+  const DATA = Object.fromEntries(
+    [2, 4, 4, 4, 5, 5, 7, 9].flatMap((value, i) => [
+      [`A${i + 1}`, value],
+      [`B${i + 1}`, value * 2],
+      [`C${i + 1}`, i + 1]
+    ])
+  )
+
+  it("describe the spread of samples and populations", () => {
+    expect(evaluate("=MEDIAN(A1:A8)", DATA)).toBe(4.5)
+    expect(evaluate("=MODE(A1:A8)", DATA)).toBe(4)
+    expect(evaluate("=MODE.SNGL(C1:C8)", DATA).code).toBe(Errors.CODES.NA)
+    expect(evaluate("=VAR.P(A1:A8)", DATA)).toBe(4)
+    expect(evaluate("=STDEV.P(A1:A8)", DATA)).toBe(2)
+    expect(evaluate("=VAR.S(A1:A8)", DATA)).toBeCloseTo(32 / 7)
+    expect(evaluate("=STDEV(A1:A8)", DATA)).toBeCloseTo(Math.sqrt(32 / 7))
+    expect(evaluate("=VAR.S(A1)", DATA).code).toBe(Errors.CODES.DIV0)
+  })
+
+  it("rank and pick values", () => {
+    expect(evaluate("=PERCENTILE(A1:A8,0.5)", DATA)).toBe(4.5)
+    expect(evaluate("=QUARTILE(A1:A8,1)", DATA)).toBe(4)
+    expect(evaluate("=QUARTILE.INC(A1:A8,3)", DATA)).toBe(5.5)
+    expect(evaluate("=PERCENTILE.INC(A1:A8,2)", DATA).code).toBe(
+      Errors.CODES.NUM
+    )
+    expect(evaluate("=RANK(7,A1:A8)", DATA)).toBe(2)
+    expect(evaluate("=RANK.EQ(4,A1:A8,1)", DATA)).toBe(2)
+    expect(evaluate("=RANK(3,A1:A8)", DATA).code).toBe(Errors.CODES.NA)
+    expect(evaluate("=LARGE(A1:A8,2)", DATA)).toBe(7)
+    expect(evaluate("=SMALL(A1:A8,3)", DATA)).toBe(4)
+  })
+
+  it("correlate pairs of numbers", () => {
+    expect(evaluate("=CORREL(A1:A8,B1:B8)", DATA)).toBeCloseTo(1)
+    expect(evaluate("=CORREL(A1:A8,B1:B7)", DATA).code).toBe(Errors.CODES.NA)
+  })
+})
+
+describe("Financial functions", () => {
+  const DATA = {
+    A1: -10000,
+    A2: 2750,
+    A3: 4250,
+    A4: 3250,
+    A5: 2750,
+    B1: "=DATE(2008,1,1)",
+    B2: "=DATE(2008,3,1)",
+    B3: "=DATE(2008,10,30)",
+    B4: "=DATE(2009,2,15)",
+    B5: "=DATE(2009,4,1)"
+  }
+
+  it("relate payments to present and future values", () => {
+    expect(evaluate("=PMT(5%/12,360,200000)")).toBeCloseTo(-1073.64, 2)
+    expect(evaluate("=PMT(0,10,1000)")).toBe(-100)
+    expect(evaluate("=IPMT(10%/12,1,36,8000)")).toBeCloseTo(-66.67, 2)
+    expect(evaluate("=PPMT(10%/12,1,24,2000)")).toBeCloseTo(-75.62, 2)
+    expect(evaluate("=PV(8%/12,240,500)")).toBeCloseTo(-59777.15, 2)
+    expect(evaluate("=FV(6%/12,10,-200,-500,1)")).toBeCloseTo(2581.4, 2)
+  })
+
+  it("discount cash flows", () => {
+    expect(evaluate("=NPV(10%,-10000,3000,4200,6800)")).toBeCloseTo(1188.44, 2)
+    expect(evaluate("=NPV(10%,A1:A2,B9)", DATA)).toBeCloseTo(-6818.18, 2)
+    expect(evaluate("=XNPV(9%,A1:A5,B1:B5)", DATA)).toBeCloseTo(2086.65, 2)
+  })
+
+  it("solve for rates", () => {
+    expect(evaluate("=IRR(A1:A5)", DATA)).toBeCloseTo(0.115413, 6)
+    expect(evaluate("=XIRR(A1:A5,B1:B5)", DATA)).toBeCloseTo(0.373362535, 6)
+    expect(evaluate("=RATE(48,-200,8000)")).toBeCloseTo(0.0077, 4)
+    expect(evaluate("=IRR(A2:A5)", DATA).code).toBe(Errors.CODES.NUM)
+  })
+})
+
+describe("Names", () => {
+  it("stand for refs, ranges and expressions in formulas", () => {
+    let sheet = changed(
+      sheetWith({ A1: 10, A2: 20, B1: "=Rate*Total" }),
+      (clone) => {
+        clone.defineName("Rate", "0.5")
+        clone.defineName("Amounts", "$A$1:$A$2")
+        clone.defineName("Total", "SUM(Amounts)")
+      }
+    )
+
+    expect(sheet.findCell("B1").evaluatedValue).toBe(15)
+
+    sheet = edited(sheet, "A2", 30)
+
+    expect(sheet.findCell("B1").evaluatedValue).toBe(20)
+  })
+
+  it("are renamed in the formulas and names using them", () => {
+    const sheet = changed(sheetWith({ A1: 2, B1: "=rate*2" }), (clone) => {
+      clone.defineName("Rate", "$A$1")
+      clone.defineName("Double", "Rate*2")
+      clone.defineName("Tax", "$A$1", "Rate")
+    })
+
+    expect(sheet.findCell("B1").value).toBe("=Tax*2")
+    expect(sheet.names.DOUBLE.definition).toBe("Tax*2")
+    expect(sheet.findCell("B1").evaluatedValue).toBe(4)
+  })
+
+  it("may be lambdas calling themselves", () => {
+    const sheet = changed(
+      sheetWith({ A1: "=Fact(5)", A2: "=LAMBDA(x,x)" }),
+      (clone) => clone.defineName("Fact", "LAMBDA(n,IF(n<2,1,n*Fact(n-1)))")
+    )
+
+    expect(valueAt(sheet, "A1")).toBe(120)
+    expect(valueAt(sheet, "A2").code).toBe(Errors.CODES.CALC)
+  })
+
+  it("give #NAME? errors once deleted", () => {
+    let sheet = changed(sheetWith({ A1: 2, B1: "=Rate" }), (clone) =>
+      clone.defineName("Rate", "$A$1")
+    )
+
+    expect(sheet.findCell("B1").evaluatedValue).toBe(2)
+
+    sheet = changed(sheet, (clone) => clone.deleteName("Rate"))
+
+    expect(sheet.findCell("B1").error.code).toBe(Errors.CODES.NAME)
+  })
+
+  it("are validated", () => {
+    const sheet = new Sheet({}, { Rate: "1" })
+
+    expect(sheet.validateName("A1", "1").message).toBe('Invalid name "A1"')
+    expect(sheet.validateName("rate", "2").message).toBe(
+      'Name "rate" already defined'
+    )
+    expect(sheet.validateName("Loop", "Loop+1").message).toBe(
+      'Name "Loop" refers to itself'
+    )
+    expect(sheet.validateName("Bad", "1+").message).toMatch(
+      "Unexpected end of formula"
+    )
+    expect(sheet.validateName("Rate", "2", "Rate")).toBeNull()
+  })
+})
+
+describe("Workbook", () => {
+  it("reads cells and ranges in other sheets", () => {
+    let workbook = workbookWith({
+      Summary: { A1: "=Data!A1+'Q1 Budget'!B2", A2: "=SUM('Q1 Budget'!B1:B3)" },
+      Data: { A1: 1 },
+      "Q1 Budget": { B1: 10, B2: 20, B3: 30 }
+    })
+
+    expect(valueAt(workbook.findSheet("Summary"), "A1")).toBe(21)
+    expect(valueAt(workbook.findSheet("Summary"), "A2")).toBe(60)
+
+    workbook = changed(workbook, (clone) =>
+      clone.findSheet("Data").updateOrCreateCell("A1", 2)
+    )
+
+    expect(valueAt(workbook.findSheet("Summary"), "A1")).toBe(22)
+  })
+
+  it("rewrites the formulas referring to sheets renamed", () => {
+    let workbook = changed(
+      workbookWith({ S1: { A1: 1 }, S2: { A1: "=S1!A1+1" } }),
+      (clone) => clone.renameSheet("S1", "Q1 Budget")
+    )
+
+    expect(workbook.findSheet("S2").findCell("A1").value).toBe(
+      "='Q1 Budget'!A1+1"
+    )
+
+    workbook = changed(workbook, (clone) =>
+      clone.findSheet("Q1 Budget").updateOrCreateCell("A1", 5)
+    )
+
+    expect(valueAt(workbook.findSheet("S2"), "A1")).toBe(6)
+    expect(() => workbook.renameSheet("S2", "q1 budget")).toThrow(
+      'Sheet "q1 budget" already exists'
+    )
+    expect(() => workbook.renameSheet("S2", "A:B")).toThrow(
+      'Invalid sheet name "A:B"'
+    )
+  })
+
+  it("gives #REF! errors for sheets deleted or unknown", () => {
+    let workbook = workbookWith({
+      S1: { A1: 1 },
+      S2: { A1: "=S1!A1+1", A2: "=S3!A1" }
+    })
+
+    expect(valueAt(workbook.findSheet("S2"), "A2").code).toBe(Errors.CODES.REF)
+
+    workbook = changed(workbook, (clone) => clone.addSheet("S3"))
+    workbook = changed(workbook, (clone) =>
+      clone.findSheet("S3").updateOrCreateCell("A1", 3)
+    )
+
+    expect(valueAt(workbook.findSheet("S2"), "A2")).toBe(3)
+
+    workbook = changed(workbook, (clone) => clone.deleteSheet("S1"))
+
+    expect(workbook.findSheet("S2").findCell("A1").value).toBe("=#REF!+1")
+    expect(valueAt(workbook.findSheet("S2"), "A1").code).toBe(Errors.CODES.REF)
+
+    workbook = changed(workbook, (clone) => clone.deleteSheet("S3"))
+
+    expect(() => workbook.deleteSheet("S2")).toThrow(
+      "A workbook must have at least one sheet"
+    )
+  })
+
+  it("moves sheets, and rejects changes to unknown ones", () => {
+    const workbook = workbookWith({ S1: {}, S2: {}, S3: {} })
+
+    workbook.moveSheet("s3", 0)
+
+    expect(workbook.sheets.map(({ name }) => name)).toEqual(["S3", "S1", "S2"])
+    expect(() => workbook.moveSheet("S4", 0)).toThrow('Unknown sheet "S4"')
+    expect(() => workbook.deleteSheet("S4")).toThrow('Unknown sheet "S4"')
+    expect(() => workbook.renameSheet("S4", "S5")).toThrow('Unknown sheet "S4"')
+    expect(workbook.sheets).toHaveLength(3)
+  })
+})
+
+describe("Clones", () => {
+  it("share the cells left unchanged", () => {
+    const workbook = workbookWith({ S1: { A1: 1, A2: "=A1*2", B1: 5 }, S2: {} })
+    const clone = workbook.clone()
+    const [sheet, sheetClone] = [workbook, clone].map((book) =>
+      book.findSheet("S1")
+    )
+
+    sheetClone.updateOrCreateCell("A1", 10)
+
+    expect(sheetClone.findCell("B1")).toBe(sheet.findCell("B1"))
+    expect(sheetClone.findCell("A1")).not.toBe(sheet.findCell("A1"))
+    expect(valueAt(sheetClone, "A2")).toBe(20)
+    expect(clone.findSheet("S2").cells).toBe(workbook.findSheet("S2").cells)
+    expect(sheetClone.cells).not.toBe(sheet.cells)
+  })
+
+  it("leave the original unchanged, and frozen", () => {
+    const workbook = workbookWith({ S1: { A1: 1, B1: "=SUM(A1:A3)" } })
+    const sheet = workbook.findSheet("S1")
+    const sheetClone = workbook.clone().findSheet("S1")
+
+    sheetClone.updateOrCreateCell("A3", 5)
+    sheetClone.updateOrCreateCell("A1", "=A3")
+    sheetClone.updateOrCreateCell("C1", "=SUM(A:A)")
+
+    expect(sheet.findCell("A1").value).toBe(1)
+    expect(valueAt(sheet, "A3")).toBeNull()
+    expect(sheet.rangeObserversOf("A1")).toEqual(["B1"])
+    expect(valueAt(sheet, "B1")).toBe(1)
+    expect(valueAt(sheetClone, "B1")).toBe(10)
+    expect(valueAt(sheetClone, "C1")).toBe(10)
+    expect(() => sheet.updateOrCreateCell("A1", 2)).toThrow(
+      "belongs to a cloned sheet"
+    )
+  })
+})
+
+describe("Open ranges", () => {
+  it("take whole cols and rows, including cells added later", () => {
+    let sheet = sheetWith({
+      A1: 1,
+      A2: 2,
+      B2: 3,
+      C1: "=SUM(A:A)",
+      C10: "=SUM(2:2)"
+    })
+
+    expect(sheet.findCell("C1").evaluatedValue).toBe(3)
+    expect(sheet.findCell("C10").evaluatedValue).toBe(5)
+
+    sheet = edited(sheet, "A100", 10)
+    sheet = edited(sheet, "Z2", 10)
+
+    expect(sheet.findCell("C1").evaluatedValue).toBe(13)
+    expect(sheet.findCell("C10").evaluatedValue).toBe(15)
+  })
+
+  it("take several cols or rows, or start from a cell", () => {
+    const sheet = edited(
+      sheetWith({
+        A1: 1,
+        B1: 2,
+        B3: 3,
+        A4: 4,
+        D1: "=SUM(A:B)",
+        D2: "=SUM(B2:B)"
+      }),
+      "D10",
+      "=SUM(3:4)"
+    )
+
+    expect(sheet.findCell("D1").evaluatedValue).toBe(10)
+    expect(sheet.findCell("D2").evaluatedValue).toBe(3)
+    expect(sheet.findCell("D10").evaluatedValue).toBe(7)
+  })
+
+  it("are read by INDIRECT with their corners the other way round", () => {
+    expect(evaluate('=SUM(INDIRECT("B:A"))', { A1: 1, B2: 2 })).toBe(3)
+  })
+})
+
+describe("Dynamic arrays", () => {
+  it("spill into neighboring cells", () => {
+    let sheet = sheetWith({ A1: "=SEQUENCE(2,2)", C1: "=SUM(A1#)" })
+
+    expect(sheet.findCell("A1").spillRange).toBe("A1:B2")
+    expect(valueAt(sheet, "A1")).toBe(1)
+    expect(valueAt(sheet, "B2")).toBe(4)
+    expect(valueAt(sheet, "C1")).toBe(10)
+    expect(Util.isEmpty(sheet.findCell("B2").value)).toBe(true)
+
+    sheet = edited(sheet, "A1", "=SEQUENCE(3)")
+
+    expect(valueAt(sheet, "B2")).toBeNull()
+    expect(valueAt(sheet, "A3")).toBe(3)
+    expect(valueAt(sheet, "C1")).toBe(6)
+  })
+
+  it("are blocked by values in the way, until cleared", () => {
+    let sheet = sheetWith({ A1: "=SEQUENCE(3)", A3: "x" })
+
+    expect(valueAt(sheet, "A1").code).toBe(Errors.CODES.SPILL)
+    expect(valueAt(sheet, "A2")).toBeNull()
+
+    sheet = edited(sheet, "A3", "")
+
+    expect(valueAt(sheet, "A1")).toBe(1)
+    expect(valueAt(sheet, "A3")).toBe(3)
+
+    sheet = edited(sheet, "A2", 5)
+
+    expect(valueAt(sheet, "A1").code).toBe(Errors.CODES.SPILL)
+    expect(valueAt(sheet, "A3")).toBe("")
+  })
+
+  it("are filtered, sorted and reshaped", () => {
+    const sheet = sheetWith({ A1: 3, A2: 1, A3: 3, A4: 2 })
+    const valuesOf = (formula) => {
+      const formulaSheet = edited(sheet, "C1", formula)
+
+      return Util.expandRange(
+        formulaSheet.findCell("C1").spillRange ?? "C1:C1"
+      ).map((refs) => refs.map((ref) => valueAt(formulaSheet, ref)))
+    }
+
+    expect(valuesOf("=SORT(A1:A4)")).toEqual([[1], [2], [3], [3]])
+    expect(valuesOf("=SORT(A1:A4,1,-1)")).toEqual([[3], [3], [2], [1]])
+    expect(valuesOf("=UNIQUE(A1:A4)")).toEqual([[3], [1], [2]])
+    expect(valuesOf("=FILTER(A1:A4,A1:A4>1)")).toEqual([[3], [3], [2]])
+    expect(valuesOf("=TRANSPOSE(A1:A2)")).toEqual([[3, 1]])
+    expect(valuesOf("=FILTER(A1:A4,A1:A4>5)")[0][0].code).toBe(
+      Errors.CODES.CALC
+    )
+  })
+
+  it("show #CALC! errors for the lambdas in them", () => {
+    const sheet = sheetWith({
+      A1: 1,
+      A2: 2,
+      B1: "=MAP(A1:A2,LAMBDA(x,LAMBDA(y,y)))",
+      C1: "=MAP(A1,LAMBDA(x,LAMBDA(y,y)))"
+    })
+    const lambdaError = {
+      code: Errors.CODES.CALC,
+      message: "Lambdas must be called"
+    }
+
+    expect(sheet.findCell("B1").spillRange).toBe("B1:B2")
+    expect(valueAt(sheet, "B1")).toMatchObject(lambdaError)
+    expect(valueAt(sheet, "B2")).toMatchObject(lambdaError)
+    expect(valueAt(sheet, "C1")).toMatchObject(lambdaError)
+  })
+
+  it("are no bigger than a sheet, and don't spill beyond its end", () => {
+    expect(evaluate(`=SEQUENCE(${Util.MAX_ROWS + 1})`).code).toBe(
+      Errors.CODES.NUM
+    )
+    expect(evaluate(`=SEQUENCE(1,${Util.MAX_COLS + 1})`).code).toBe(
+      Errors.CODES.NUM
+    )
+    expect(evaluate("=SEQUENCE(1,0)").code).toBe(Errors.CODES.VALUE)
+
+    const lastRow = `A${Util.MAX_ROWS}`
+    const sheet = sheetWith({ A1: "=SEQUENCE(2)", [lastRow]: "=SEQUENCE(2)" })
+
+    expect(valueAt(sheet, "A2")).toBe(2)
+    expect(valueAt(sheet, lastRow).code).toBe(Errors.CODES.SPILL)
+    expect(sheet.findCell(lastRow).spillRange).toBeNull()
+  })
+})
+
+describe("Iterative calculation", () => {
+  const iterated = (sheet, settings) =>
+    changed(sheet, (clone) => clone.setIteration(settings))
+
+  it("evaluates circular references until they converge", () => {
+    let sheet = sheetWith({ A1: "=B1/2+1", B1: "=A1", C1: "=A1*10" })
+
+    expect(valueAt(sheet, "B1").code).toBe(Errors.CODES.CIRC)
+
+    sheet = iterated(sheet, { enabled: true })
+
+    expect(valueAt(sheet, "A1")).toBeCloseTo(2, 2)
+    expect(valueAt(sheet, "C1")).toBeCloseTo(20, 1)
+
+    sheet = iterated(sheet, { enabled: false })
+
+    expect(valueAt(sheet, "B1").code).toBe(Errors.CODES.CIRC)
+  })
+
+  it("gives up after the maximum number of iterations", () => {
+    const sheet = iterated(sheetWith({ A1: "=A1+1" }), {
+      enabled: true,
+      maxIterations: 10
+    })
+
+    expect(valueAt(sheet, "A1")).toMatchObject({
+      code: Errors.CODES.CIRC,
+      message: "No convergence after 10 iterations"
+    })
+  })
+
+  it("takes valid settings only", () => {
+    const sheet = sheetWith({})
+
+    expect(() => sheet.setIteration({ maxIterations: 0 })).toThrow(
+      "Maximum iterations must be a whole number greater than 0"
+    )
+    expect(() => sheet.setIteration({ maxChange: -1 })).toThrow(
+      "Maximum change must be a number not less than 0"
+    )
+  })
+})
+
+describe("Operations", () => {
+  it("paste ranges, anchors and all", () => {
+    let sheet = sheetWith({
+      A1: 1,
+      A2: 3,
+      B1: 2,
+      B2: 4,
+      C1: "=A1+$A$1+A$1+$A1",
+      C2: "=B2*2"
+    })
+
+    sheet = changed(sheet, (clone) => clone.paste("C1:C2", "D2", "copy"))
+
+    expect(sheet.findCell("D2").value).toBe("=B2+$A$1+B$1+$A2")
+    expect(sheet.findCell("D3").value).toBe("=C3*2")
+    expect(valueAt(sheet, "D2")).toBe(10)
+
+    sheet = changed(sheet, (clone) => clone.paste("A1:A2", "E1", "cut"))
+
+    expect(sheet.findCell("C1").value).toBe("=E1+$E$1+E$1+$E1")
+    expect(sheet.findCell("D2").value).toBe("=B2+$E$1+B$1+$E2")
+    expect(valueAt(sheet, "C1")).toBe(4)
+    expect(valueAt(sheet, "D2")).toBe(10)
+  })
+
+  it("leave their recalculations to the caller when deferred", () => {
+    const workbook = workbookWith({ S1: { A1: 1, B1: "=S2!A1" } })
+    const sheet = workbook.findSheet("S1")
+    const cells = Recalculation.defer(() =>
+      workbook.perform({ method: "addSheet", args: ["S2"] })
+    )
+
+    expect(valueAt(sheet, "B1").code).toBe(Errors.CODES.REF)
+
+    Recalculation.run(cells)
+
+    expect(valueAt(sheet, "B1")).toBe(0)
+  })
+
+  it("leave loading a workbook uncalculated when deferred", () => {
+    let workbook
+    const cells = Recalculation.defer(() => {
+      workbook = new Workbook({ S1: { A1: 1, A2: "=A1*2" } })
+    })
+    const copy = Workbook.fromData(workbook.toData())
+    const sheet = workbook.findSheet("S1")
+
+    expect(cells.length).toBe(2)
+    expect(valueAt(sheet, "A2")).toBeNull()
+
+    cells.forEach((cell) => {
+      const state = copy.findSheet("S1").findCell(cell.ref).computedState()
+
+      cell.setComputedState(state)
+    })
+
+    expect(valueAt(sheet, "A2")).toBe(2)
+    expect([...sheet.findCell("A1").observers]).toEqual(["A2"])
+  })
+
+  it("keep copies of a workbook the same", () => {
+    const workbook = workbookWith({
+      S1: { A1: 1, A2: "=A1*2", B1: "=Rate" }
+    })
+    const copy = Workbook.fromData(workbook.toData())
+    const operations = [
+      { sheetName: "S1", method: "defineName", args: ["Rate", "$A$2"] },
+      { sheetName: "S1", method: "paste", args: ["A1:A2", "C1", "cut"] },
+      { method: "renameSheet", args: ["S1", "Data"] }
+    ]
+
+    operations.forEach((operation) => {
+      workbook.perform(operation)
+      Recalculation.run(Recalculation.defer(() => copy.perform(operation)))
+    })
+
+    const sheet = workbook.findSheet("Data")
+    const sheetCopy = copy.findSheet("Data")
+
+    expect(copy.toData()).toEqual(workbook.toData())
+    expect(sheetCopy.findCell("C2").value).toBe("=C1*2")
+    expect(valueAt(sheetCopy, "C2")).toBe(2)
+    expect(valueAt(sheetCopy, "B1")).toBe(valueAt(sheet, "B1"))
+  })
+
+  it("are limited to those which can be posted", () => {
+    const workbook = workbookWith({ Sheet1: {} })
+
+    expect(() => workbook.perform({ method: "toData" })).toThrow(
+      'Unknown operation "toData"'
+    )
+  })
+})
@@ -0,0 +1,78 @@
+// Spreadsheet error values. They are regular values as far as formulas are
+// concerned: operators and functions propagate them to their results, unless
+// the function is meant to trap them (e.g. IFERROR).
+const Errors = (() => {
+  const CODES = {
+    REF: "#REF!",
+    DIV0: "#DIV/0!",
+    VALUE: "#VALUE!",
+    NAME: "#NAME?",
+    CIRC: "#CIRC!",
+    NA: "#N/A",
+    NUM: "#NUM!",
+    SPILL: "#SPILL!",
+    CALC: "#CALC!",
+    ERROR: "#ERROR!"
+  }
+
+  const DEFAULT_MESSAGES = {
+    [CODES.REF]: "Invalid reference",
+    [CODES.DIV0]: "Division by zero",
+    [CODES.VALUE]: "Wrong type of value",
+    [CODES.NAME]: "Unknown name",
+    [CODES.CIRC]: "Circular dependency",
+    [CODES.NA]: "Value not available",
+    [CODES.NUM]: "Invalid numeric value",
+    [CODES.SPILL]: "Spill range isn't blank",
+    [CODES.CALC]: "Empty array",
+    [CODES.ERROR]: "Invalid formula"
+  }
+
+  class CellError {
+    // `origin` is the ref of the cell where the error first appeared, when
+    // propagated to other cells.
+    constructor(code, message = DEFAULT_MESSAGES[code], origin = null) {
+      this.code = code
+      this.message = message
+      this.origin = origin
+      this.name = "CellError"
+    }
+
+    withOrigin(origin) {
+      return this.origin ? this : new CellError(this.code, this.message, origin)
+    }
+
+    detail() {
+      return this.origin ? `${this.message} (in ${this.origin})` : this.message
+    }
+
+    toString() {
+      return this.code
+    }
+  }
+
+  const isError = (value) => value instanceof CellError
+
+  const isErrorCode = (code) =>
+    Object.values(CODES).includes(String(code).toUpperCase())
+
+  // Returns the first error found in `values` (which might be nested
+  // arrays, as in range values), if any.
+  const findError = (values) => {
+    for (const value of values) {
+      const error = value instanceof Array ? findError(value) : value
+
+      if (isError(error)) return error
+    }
+  }
+
+  return {
+    CODES,
+    CellError,
+    isError,
+    isErrorCode,
+    findError
+  }
+})()
+
+export default Errors
@@ -0,0 +1,51 @@
+import Errors from "../errors"
+import Functions from "../functions"
+
+// An example of a custom (domain) function, registered with
+// `Functions.register`: FX(amount, from_currency, [to_currency]) converts an
+// amount between currencies with a local table of rates.
+const FxFunction = (() => {
+  const { CODES, CellError } = Errors
+
+  // Units of each currency per US dollar.
+  const SAMPLE_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    JPY: 149.5,
+    BRL: 5.61
+  }
+
+  const register = (rates = SAMPLE_RATES, baseCurrency = "USD") => {
+    const rateOf = (currency) => rates[currency.trim().toUpperCase()]
+
+    const FX = (amount, fromCurrency, toCurrency = baseCurrency) => {
+      const [fromRate, toRate] = [fromCurrency, toCurrency].map(rateOf)
+
+      if (fromRate === undefined || toRate === undefined)
+        return new CellError(
+          CODES.NA,
+          `No rate for ${fromRate === undefined ? fromCurrency : toCurrency}`
+        )
+
+      return (amount / fromRate) * toRate
+    }
+
+    Functions.register("FX", FX, {
+      minArgs: 2,
+      maxArgs: 3,
+      coerce: ["number", "text"],
+      description: `Converts an amount between currencies (${Object.keys(
+        rates
+      ).join(", ")})`,
+      argNames: ["amount", "from_currency", `[to_currency=${baseCurrency}]`]
+    })
+  }
+
+  return {
+    SAMPLE_RATES,
+    register
+  }
+})()
+
+export default FxFunction
@@ -0,0 +1,1013 @@
+import Util from "./util"
+import Errors from "./errors"
+import Values from "./values"
+import Functions from "./functions"
+
+const Formula = (() => {
+  const FORMULA_PREFIX = "="
+
+  const { CODES, CellError } = Errors
+
+  // Tried in order at the current position. All of them are sticky, so they
+  // only match exactly where the previous token ended.
+  const TOKEN_PATTERNS = [
+    ["whitespace", /\s+/y],
+    ["number", /(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/iy],
+    ["string", /"(?:[^"]|"")*"/y],
+    [
+      "error",
+      new RegExp(Object.values(CODES).map(Util.escapeRegExp).join("|"), "iy")
+    ],
+    // A sheet name before a ref, e.g. `Sheet2!` or `'Q1 Budget'!`.
+    ["sheet", /(?:'(?:[^']|'')+'|[a-z_][a-z0-9_.]*)!/iy],
+    ["identifier", /[a-z_$][a-z0-9_.$]*/iy],
+    ["operator", /<>|<=|>=|[-+*/^%&=<>]/y],
+    ["punctuation", /[(),:#]/y]
+  ]
+
+  const REF_REGEXP = /^\$?[A-Z]+\$?\d+$/
+  const NAME_REGEXP = /^[a-z_][a-z0-9_.]*$/i
+  const BOOLEANS = ["TRUE", "FALSE"]
+  // Functions whose arguments include names, rather than values to evaluate
+  // (see `evaluateSpecialForm`).
+  const SPECIAL_FORMS = ["LET", "LAMBDA"]
+  // Lambdas calling each other (or themselves) can't go deeper than this.
+  const MAX_LAMBDA_DEPTH = 200
+
+  // Lowest to highest precedence (unary operators and `%` bind tighter than
+  // all of them, as in other spreadsheet applications).
+  const COMPARISON_OPERATORS = ["=", "<>", "<", ">", "<=", ">="]
+  const CONCATENATION_OPERATORS = ["&"]
+  const ADDITIVE_OPERATORS = ["+", "-"]
+  const MULTIPLICATIVE_OPERATORS = ["*", "/"]
+  const EXPONENT_OPERATORS = ["^"]
+
+  class FormulaError {
+    constructor(message, position) {
+      this.message =
+        position === undefined ? message : `${message} at position ${position}`
+      this.position = position
+      this.name = "FormulaError"
+    }
+  }
+
+  // Positions are 1-based and include the leading `=`, so they match what
+  // the user sees in the cell input.
+  const tokenize = (formula) => {
+    const tokens = []
+    let index = FORMULA_PREFIX.length
+
+    while (index < formula.length) {
+      let token
+
+      for (const [type, regexp] of TOKEN_PATTERNS) {
+        regexp.lastIndex = index
+
+        const match = regexp.exec(formula)
+
+        if (match) {
+          token = { type, text: match[0], position: index + 1 }
+          break
+        }
+      }
+
+      if (!token) {
+        const char = formula[index]
+
+        throw new FormulaError(
+          char === '"'
+            ? "Unterminated string"
+            : `Unexpected character "${char}"`,
+          index + 1
+        )
+      }
+
+      if (token.type !== "whitespace") tokens.push(token)
+
+      index += token.text.length
+    }
+
+    tokens.push({ type: "end", text: "", position: formula.length + 1 })
+
+    return tokens
+  }
+
+  const parse = (formula) => {
+    const tokens = tokenize(formula)
+    let index = 0
+
+    const peek = (offset = 0) => tokens[index + offset]
+    const next = () => tokens[index++]
+
+    // The part of the formula a node comes from, as the indexes of its first
+    // char (0-based, so `start` is its token's position - 1) and of the char
+    // after the last token read so far.
+    const spanFrom = (start) => {
+      const last = tokens[index - 1]
+
+      return { start, end: last.position - 1 + last.text.length }
+    }
+
+    const isToken = (token, type, ...texts) =>
+      token.type === type && (texts.length === 0 || texts.includes(token.text))
+
+    const unexpected = (token) =>
+      new FormulaError(
+        token.type === "end"
+          ? "Unexpected end of formula"
+          : `Unexpected token "${token.text}"`,
+        token.position
+      )
+
+    const expect = (type, ...texts) => {
+      const token = next()
+
+      if (!isToken(token, type, ...texts)) throw unexpected(token)
+
+      return token
+    }
+
+    const binaryLevel = (operators, parseOperand) => () => {
+      let left = parseOperand()
+
+      while (isToken(peek(), "operator", ...operators)) {
+        const { text: operator, position } = next()
+        const right = parseOperand()
+
+        left = {
+          type: "binary",
+          operator,
+          left,
+          right,
+          position,
+          ...spanFrom(left.start)
+        }
+      }
+
+      return left
+    }
+
+    // Empty arguments, e.g. the second one in `SUM(1,,2)`, are omitted: they
+    // evaluate to undefined, so functions take their default values.
+    const parseArgument = () => {
+      if (!isToken(peek(), "punctuation", ",", ")")) return parseExpression()
+
+      const { position } = peek()
+
+      // With nothing to span, right before the comma or parenthesis.
+      return {
+        type: "omitted",
+        position,
+        start: position - 1,
+        end: position - 1
+      }
+    }
+
+    const parseArguments = () => {
+      const args = []
+
+      expect("punctuation", "(")
+
+      if (!isToken(peek(), "punctuation", ")")) {
+        args.push(parseArgument())
+
+        while (isToken(peek(), "punctuation", ",")) {
+          next()
+          args.push(parseArgument())
+        }
+      }
+
+      expect("punctuation", ")")
+
+      return args
+    }
+
+    const parsePrimary = () => {
+      const token = next()
+      const { text, position } = token
+
+      switch (token.type) {
+        case "number":
+          // Whole rows, e.g. `3:3`.
+          if (isToken(peek(), "punctuation", ":"))
+            return parseReference(text, null, position)
+
+          return {
+            type: "number",
+            value: Number(text),
+            position,
+            ...spanFrom(position - 1)
+          }
+
+        case "string":
+          return {
+            type: "string",
+            value: text.slice(1, -1).replaceAll('""', '"'),
+            position,
+            ...spanFrom(position - 1)
+          }
+
+        case "error":
+          return {
+            type: "error",
+            code: text.toUpperCase(),
+            position,
+            ...spanFrom(position - 1)
+          }
+
+        case "sheet":
+          const refToken = next()
+          const isRef =
+            isToken(refToken, "identifier") &&
+            refToken.text.toUpperCase().match(REF_REGEXP)
+          const isRangeCorner =
+            (isToken(refToken, "identifier") || isToken(refToken, "number")) &&
+            isToken(peek(), "punctuation", ":")
+
+          if (!isRef && !isRangeCorner) throw unexpected(refToken)
+
+          return parseReference(
+            refToken.text.toUpperCase(),
+            Util.unquoteSheetName(text.slice(0, -1)),
+            position
+          )
+
+        case "identifier":
+          const name = text.toUpperCase()
+
+          if (isToken(peek(), "punctuation", "(")) {
+            return {
+              type: "call",
+              name,
+              args: parseArguments(),
+              position,
+              ...spanFrom(position - 1)
+            }
+          } else if (BOOLEANS.includes(name)) {
+            return {
+              type: "boolean",
+              value: name === "TRUE",
+              position,
+              ...spanFrom(position - 1)
+            }
+          } else if (
+            name.match(REF_REGEXP) ||
+            isToken(peek(), "punctuation", ":")
+          ) {
+            return parseReference(name, null, position)
+          } else {
+            return { type: "name", name, position, ...spanFrom(position - 1) }
+          }
+
+        case "punctuation":
+          if (text === "(") {
+            const expression = parseExpression()
+
+            expect("punctuation", ")")
+
+            // Spanning the parentheses as well.
+            return { ...expression, ...spanFrom(position - 1) }
+          }
+
+          throw unexpected(token)
+
+        default:
+          throw unexpected(token)
+      }
+    }
+
+    // A ref or, when followed by `:`, a range, which might be an open one
+    // (see `Util.parseRange`). `sheet` is the name of the sheet they belong
+    // to, or null for the formula's own sheet.
+    const parseReference = (ref, sheet, position) => {
+      if (isToken(peek(), "punctuation", ":")) {
+        const colonToken = next()
+        const toToken = next()
+        const toText = toToken.text.toUpperCase()
+
+        if (!isToken(toToken, "identifier") && !isToken(toToken, "number"))
+          throw unexpected(toToken)
+
+        if (!Util.parseRange(`${ref}:${toText}`))
+          throw new FormulaError(
+            `Invalid range "${ref}:${toText}"`,
+            colonToken.position
+          )
+
+        // Corners the other way round (e.g. `B2:A1`) are swapped, so the
+        // range is watched and read as the same rectangle everywhere.
+        const [from, to] = Util.normalizeRange(`${ref}:${toText}`)
+          .split(":")
+          .map(Util.stripAnchors)
+
+        return {
+          type: "range",
+          from,
+          to,
+          sheet,
+          position,
+          ...spanFrom(position - 1)
+        }
+      }
+
+      // The whole array a cell spills, e.g. `A1#`.
+      if (isToken(peek(), "punctuation", "#")) {
+        next()
+
+        return {
+          type: "spill",
+          ref: Util.stripAnchors(ref),
+          sheet,
+          position,
+          ...spanFrom(position - 1)
+        }
+      }
+
+      return {
+        type: "ref",
+        ref: Util.stripAnchors(ref),
+        sheet,
+        position,
+        ...spanFrom(position - 1)
+      }
+    }
+
+    // Lambdas can be called right away, e.g. `LAMBDA(x, x * 2)(3)`.
+    const parsePostfix = () => {
+      let operand = parsePrimary()
+
+      while (isToken(peek(), "punctuation", "(")) {
+        const { position } = peek()
+
+        operand = {
+          type: "apply",
+          callee: operand,
+          args: parseArguments(),
+          position,
+          ...spanFrom(operand.start)
+        }
+      }
+
+      while (isToken(peek(), "operator", "%")) {
+        operand = {
+          type: "percent",
+          operand,
+          position: next().position,
+          ...spanFrom(operand.start)
+        }
+      }
+
+      return operand
+    }
+
+    const parseUnary = () => {
+      if (isToken(peek(), "operator", ...ADDITIVE_OPERATORS)) {
+        const { text: operator, position } = next()
+
+        return {
+          type: "unary",
+          operator,
+          operand: parseUnary(),
+          position,
+          ...spanFrom(position - 1)
+        }
+      }
+
+      return parsePostfix()
+    }
+
+    const parseExponent = binaryLevel(EXPONENT_OPERATORS, parseUnary)
+    const parseMultiplicative = binaryLevel(
+      MULTIPLICATIVE_OPERATORS,
+      parseExponent
+    )
+    const parseAdditive = binaryLevel(ADDITIVE_OPERATORS, parseMultiplicative)
+    const parseConcatenation = binaryLevel(
+      CONCATENATION_OPERATORS,
+      parseAdditive
+    )
+    const parseComparison = binaryLevel(
+      COMPARISON_OPERATORS,
+      parseConcatenation
+    )
+
+    function parseExpression() {
+      return parseComparison()
+    }
+
+    const ast = parseExpression()
+
+    if (peek().type !== "end") throw unexpected(peek())
+
+    return ast
+  }
+
+  // Finds the refs and ranges in `formula` from its tokens, so text inside
+  // strings is never taken as a ref. Ranges come with both of their corners
+  // in `range`, and refs to other sheets with the name of the sheet in
+  // `sheet` (the `sheet:` prefix starting at `start`, and the ref itself at
+  // `refStart`). Formulas which can't be tokenized have no refs.
+  const scanRefs = (formula) => {
+    let tokens
+
+    try {
+      tokens = tokenize(formula)
+    } catch (e) {
+      if (e instanceof FormulaError) return []
+
+      throw e
+    }
+
+    const isCornerToken = (i) =>
+      ["identifier", "number"].includes(tokens[i]?.type) &&
+      tokens[i + 1].text !== "("
+
+    const isRefToken = (i) =>
+      isCornerToken(i) && tokens[i].text.toUpperCase().match(REF_REGEXP)
+
+    // Including open ranges, e.g. `A:A` or `3:3`.
+    const isRangeAt = (i) =>
+      isCornerToken(i) &&
+      tokens[i + 1].text === ":" &&
+      isCornerToken(i + 2) &&
+      !!Util.parseRange(`${tokens[i].text}:${tokens[i + 2].text}`)
+
+    const refs = []
+
+    for (let i = 0; i < tokens.length; i++) {
+      const isRange = isRangeAt(i)
+
+      if (!isRange && !isRefToken(i)) continue
+      const [first, last] = [tokens[i], tokens[isRange ? i + 2 : i]]
+      const sheetToken = tokens[i - 1]?.type === "sheet" ? tokens[i - 1] : null
+
+      refs.push({
+        start: (sheetToken ?? first).position - 1,
+        refStart: first.position - 1,
+        end: last.position - 1 + last.text.length,
+        text: first.text,
+        range: isRange ? [first.text, last.text] : null,
+        sheet: sheetToken && Util.unquoteSheetName(sheetToken.text.slice(0, -1))
+      })
+
+      if (isRange) i += 2
+    }
+
+    return refs
+  }
+
+  // Finds the ref in `formula` which contains (or ends exactly at)
+  // `position`, e.g. the cursor's, with its `start` and `end`. Each corner
+  // of a range is a ref of its own.
+  const refAtPosition = (formula, position) =>
+    scanRefs(formula)
+      .flatMap(({ refStart, end, text, range }) =>
+        range
+          ? [
+              {
+                ref: range[0],
+                start: refStart,
+                end: refStart + range[0].length
+              },
+              { ref: range[1], start: end - range[1].length, end }
+            ]
+          : [{ ref: text, start: refStart, end }]
+      )
+      .find(
+        ({ ref, start, end }) =>
+          Util.isRef(ref) && start <= position && position <= end
+      )
+
+  const isFunctionName = (name) =>
+    SPECIAL_FORMS.includes(name.toUpperCase()) || !!Functions.find(name)
+
+  // Names (e.g. 'TaxRate') can't be taken for refs, booleans or functions.
+  const isValidName = (name) =>
+    !!name.match(NAME_REGEXP) &&
+    !name.toUpperCase().match(REF_REGEXP) &&
+    !BOOLEANS.includes(name.toUpperCase())
+
+  // Finds the defined names in `formula`, like `scanRefs` does for refs.
+  // Names called as functions, which might be lambdas (e.g. `=Tax(A1)`), are
+  // included.
+  const scanNames = (formula) => {
+    let tokens
+
+    try {
+      tokens = tokenize(formula)
+    } catch (e) {
+      if (e instanceof FormulaError) return []
+
+      throw e
+    }
+
+    return tokens
+      .filter(
+        (token, i) =>
+          token.type === "identifier" &&
+          isValidName(token.text) &&
+          !(tokens[i + 1].text === "(" && isFunctionName(token.text))
+      )
+      .map(({ text, position }) => ({
+        start: position - 1,
+        end: position - 1 + text.length,
+        text
+      }))
+  }
+
+  // The (upper-cased) names used in `formula`.
+  const findNames = (formula) =>
+    new Set(scanNames(formula).map(({ text }) => text.toUpperCase()))
+
+  // Rewrites the names in `formula` with `replaceName(name)`, which gets
+  // them as written.
+  const replaceNames = (formula, replaceName) =>
+    scanNames(formula).reduceRight(
+      (acc, { start, end, text }) =>
+        acc.slice(0, start) + replaceName(text) + acc.slice(end),
+      formula
+    )
+
+  // The refs `formula` depends on (without anchors), with ranges (e.g.
+  // 'A1:B2' or 'A:A') kept as such. Refs to other sheets are qualified (see
+  // `Util.qualifiedRef`).
+  const findRefs = (formula) =>
+    new Set(
+      scanRefs(formula).map(({ text, range, sheet }) =>
+        Util.qualifiedRef(
+          sheet,
+          Util.stripAnchors(range ? range.join(":") : text)
+        )
+      )
+    )
+
+  // Rewrites the refs in `formula`, leaving everything else (spacing, case,
+  // strings, sheet names etc) untouched. `replaceRange` receives both
+  // corners of a range and returns the text replacing the whole range; by
+  // default each corner is replaced separately. Both also receive the name
+  // of the sheet the ref belongs to, or null for the formula's own sheet.
+  const replaceRefs = (
+    formula,
+    replaceRef,
+    replaceRange = (from, to, sheet) =>
+      `${replaceRef(from, sheet)}:${replaceRef(to, sheet)}`
+  ) =>
+    // Apply from right to left, so earlier positions remain valid.
+    scanRefs(formula).reduceRight(
+      (acc, { refStart, end, text, range, sheet }) =>
+        acc.slice(0, refStart) +
+        (range ? replaceRange(...range, sheet) : replaceRef(text, sheet)) +
+        acc.slice(end),
+      formula
+    )
+
+  // Rewrites the refs to the sheet `sheetName` after it's renamed to
+  // `newSheetName`, or replaces them with #REF! when it's deleted (i.e. when
+  // `newSheetName` is null).
+  const replaceSheetRefs = (formula, sheetName, newSheetName) =>
+    scanRefs(formula).reduceRight(
+      (acc, { start, refStart, end, sheet }) =>
+        sheet?.toUpperCase() === sheetName.toUpperCase()
+          ? acc.slice(0, start) +
+            (newSheetName
+              ? Util.sheetPrefix(newSheetName) + acc.slice(refStart, end)
+              : CODES.REF) +
+            acc.slice(end)
+          : acc,
+      formula
+    )
+
+  const errorAt = (code, message, node) =>
+    new CellError(code, `${message} at position ${node.position}`)
+
+  const toNumber = (value, node) => {
+    const number = Values.toNumber(value)
+
+    return Errors.isError(number)
+      ? errorAt(number.code, number.message, node)
+      : number
+  }
+
+  // Infinity and NaN are never valid results (e.g. `=10^1000`).
+  const checkNumber = (value, node) =>
+    typeof value === "number" && !Number.isFinite(value)
+      ? errorAt(CODES.NUM, "Number out of range", node)
+      : value
+
+  const describeArity = ({ minArgs, maxArgs }) => {
+    const plural = (count) => `${count} argument${count === 1 ? "" : "s"}`
+
+    if (minArgs === maxArgs) return `exactly ${plural(minArgs)}`
+    if (maxArgs === Infinity) return `at least ${plural(minArgs)}`
+
+    return `between ${minArgs} and ${plural(maxArgs)}`
+  }
+
+  const { compare } = Values
+
+  const toText = (value) =>
+    Errors.isError(value) ? value : Values.toText(value)
+
+  const BINARY_OPERATIONS = {
+    "&": (left, right) => left + right,
+    "+": (left, right) => left + right,
+    "-": (left, right) => left - right,
+    "*": (left, right) => left * right,
+    "/": (left, right) => left / right,
+    "^": (left, right) => left ** right,
+    "=": (left, right) => compare(left, right) === 0,
+    "<>": (left, right) => compare(left, right) !== 0,
+    "<": (left, right) => compare(left, right) < 0,
+    ">": (left, right) => compare(left, right) > 0,
+    "<=": (left, right) => compare(left, right) <= 0,
+    ">=": (left, right) => compare(left, right) >= 0
+  }
+
+  // Converts an operator's operand to the type it works on.
+  const toOperand = (value, node) => {
+    if (Errors.isError(value)) return value
+    if (COMPARISON_OPERATORS.includes(node.operator)) return value
+    if (CONCATENATION_OPERATORS.includes(node.operator)) return toText(value)
+
+    return toNumber(value, node)
+  }
+
+  // Applies `fn` to the operand values in `values` or, when any of them is
+  // an array, to their items at each position, giving an array (as in
+  // `A1:A3*2`). Single values and single rows or cols are repeated to fill
+  // the result, and positions missing from smaller arrays give #N/A.
+  const elementWise = (values, fn) => {
+    if (!values.some((value) => value instanceof Array)) return fn(...values)
+
+    const tables = values.map((value) =>
+      value instanceof Array ? value : [[value]]
+    )
+    const rowCount = Math.max(...tables.map((table) => table.length))
+    const colCount = Math.max(...tables.map((table) => table[0]?.length ?? 0))
+    const itemAt = (table, row, col) => {
+      const item =
+        table[table.length === 1 ? 0 : row]?.[table[0].length === 1 ? 0 : col]
+
+      return item === undefined ? new CellError(CODES.NA) : item
+    }
+
+    return Array.from({ length: rowCount }, (_, row) =>
+      Array.from({ length: colCount }, (_, col) =>
+        fn(...tables.map((table) => itemAt(table, row, col)))
+      )
+    )
+  }
+
+  const NO_LOCALS = new Map()
+
+  // Refs and ranges given as reference arguments (e.g. OFFSET's first one)
+  // are passed on as their corners, rather than as their values.
+  const evaluateReference = (node, context, scope) => {
+    switch (node.type) {
+      case "ref":
+        return { from: node.ref, to: node.ref, sheet: node.sheet }
+
+      case "range":
+        return { from: node.from, to: node.to, sheet: node.sheet }
+
+      case "name":
+        if (scope.has(node.name))
+          return errorAt(CODES.VALUE, "Expected a reference", node)
+
+        const namedExpression = context.nameDefinition?.(node.name)
+
+        return namedExpression
+          ? evaluateReference(namedExpression, context, NO_LOCALS)
+          : errorAt(CODES.NAME, `Unknown name "${node.name}"`, node)
+
+      default:
+        return errorAt(CODES.VALUE, "Expected a reference", node)
+    }
+  }
+
+  let lambdaDepth = 0
+
+  // LET(name1, value1, [name2, value2, ...], calculation) evaluates its
+  // calculation with local names, each one defined in terms of the previous
+  // ones. LAMBDA(param1, ..., calculation) gives a `Values.Lambda`, whose
+  // calculation sees the local names where it was made as well.
+  const evaluateSpecialForm = (node, context, scope) => {
+    const { name, args } = node
+    const isLet = name === "LET"
+
+    if (isLet ? args.length < 3 || args.length % 2 === 0 : args.length < 1)
+      return errorAt(
+        CODES.ERROR,
+        isLet
+          ? "LET expects pairs of names and values, and a calculation"
+          : "LAMBDA expects a calculation",
+        node
+      )
+
+    const nameNodes = args.slice(0, -1).filter((_, i) => !isLet || i % 2 === 0)
+    const names = nameNodes.map((arg) =>
+      arg.type === "name" ? arg.name : null
+    )
+    const invalidIndex = names.findIndex(
+      (localName, i) => !localName || names.indexOf(localName) !== i
+    )
+    const calculation = args[args.length - 1]
+
+    if (invalidIndex >= 0)
+      return errorAt(
+        CODES.ERROR,
+        names[invalidIndex]
+          ? `Duplicate name "${names[invalidIndex]}"`
+          : "Expected a name",
+        nameNodes[invalidIndex]
+      )
+
+    if (isLet)
+      return evaluate(
+        calculation,
+        context,
+        names.reduce(
+          (acc, localName, i) =>
+            new Map(acc).set(
+              localName,
+              evaluate(args[i * 2 + 1], context, acc)
+            ),
+          scope
+        )
+      )
+
+    return new Values.Lambda(names, (values) => {
+      if (lambdaDepth >= MAX_LAMBDA_DEPTH)
+        return errorAt(CODES.NUM, "Too many nested lambda calls", node)
+
+      lambdaDepth++
+
+      try {
+        return evaluate(
+          calculation,
+          context,
+          new Map([...scope, ...names.map((param, i) => [param, values[i]])])
+        )
+      } finally {
+        lambdaDepth--
+      }
+    })
+  }
+
+  const callLambda = (lambda, argNodes, node, context, scope) => {
+    if (Errors.isError(lambda)) return lambda
+
+    if (!Values.isLambda(lambda))
+      return errorAt(CODES.VALUE, "Only lambdas can be called", node)
+
+    return lambda.call(argNodes.map((arg) => evaluate(arg, context, scope)))
+  }
+
+  // `context` supplies cell values: `valueOf(ref, sheet)` for a single cell,
+  // `rangeValues(from, to, sheet)` for a 2D array (rows of cols) of values
+  // and `spillValues(ref, sheet)` for the array spilled by a cell (as in
+  // `A1#`), where `sheet` is the name of another sheet or null.
+  // `nameDefinition(name)` gives the parsed definition of a defined name. Its
+  // `volatile` flag is set when a volatile function (e.g. NOW) is called.
+  // `scope` maps local names (from LET and lambda params) to their values.
+  // Errors are returned (not thrown) as `CellError` values. When set,
+  // `onEvaluate(node, value)` is called after each node is evaluated (see
+  // `Sheet#evaluationSteps`).
+  const evaluate = (node, context, scope = NO_LOCALS) => {
+    const value = evaluateNode(node, context, scope)
+
+    if (context.onEvaluate) context.onEvaluate(node, value)
+
+    return value
+  }
+
+  const evaluateNode = (node, context, scope) => {
+    switch (node.type) {
+      case "number":
+      case "string":
+      case "boolean":
+        return node.value
+
+      case "error":
+        return new CellError(node.code)
+
+      case "omitted":
+        return undefined
+
+      case "ref":
+        return context.valueOf(node.ref, node.sheet)
+
+      case "range":
+        return context.rangeValues(node.from, node.to, node.sheet)
+
+      case "spill":
+        return context.spillValues(node.ref, node.sheet)
+
+      case "name":
+        if (scope.has(node.name)) return scope.get(node.name)
+
+        const namedExpression = context.nameDefinition?.(node.name)
+
+        // Definitions don't see the local names where they are used.
+        return namedExpression
+          ? evaluate(namedExpression, context)
+          : errorAt(CODES.NAME, `Unknown name "${node.name}"`, node)
+
+      case "unary":
+        return elementWise(
+          [evaluate(node.operand, context, scope)],
+          (value) => {
+            const operand = toOperand(value, node)
+
+            if (Errors.isError(operand)) return operand
+
+            return node.operator === "-" ? -operand : operand
+          }
+        )
+
+      case "percent":
+        return elementWise(
+          [evaluate(node.operand, context, scope)],
+          (value) => {
+            const percentage = toOperand(value, node)
+
+            return Errors.isError(percentage) ? percentage : percentage / 100
+          }
+        )
+
+      case "binary":
+        const operands = [node.left, node.right].map((operand) =>
+          evaluate(operand, context, scope)
+        )
+
+        return elementWise(operands, (...values) => {
+          const [left, right] = values.map((value) => toOperand(value, node))
+          const operandError = Errors.findError([left, right])
+
+          if (operandError) return operandError
+
+          if (node.operator === "/" && right === 0)
+            return errorAt(CODES.DIV0, "Division by zero", node)
+
+          return checkNumber(
+            BINARY_OPERATIONS[node.operator](left, right),
+            node
+          )
+        })
+
+      case "apply":
+        return callLambda(
+          evaluate(node.callee, context, scope),
+          node.args,
+          node,
+          context,
+          scope
+        )
+
+      case "call":
+        if (SPECIAL_FORMS.includes(node.name))
+          return evaluateSpecialForm(node, context, scope)
+
+        // Lambdas in local names, e.g. `f` in `LET(f, LAMBDA(x, x * 2), f(3))`,
+        // and in defined names are called like functions.
+        if (scope.has(node.name))
+          return callLambda(
+            scope.get(node.name),
+            node.args,
+            node,
+            context,
+            scope
+          )
+
+        const definition = Functions.find(node.name)
+        const lambdaExpression =
+          !definition && context.nameDefinition?.(node.name)
+
+        if (lambdaExpression)
+          return callLambda(
+            evaluate(lambdaExpression, context),
+            node.args,
+            node,
+            context,
+            scope
+          )
+
+        if (!definition)
+          return errorAt(CODES.NAME, `Unknown function "${node.name}"`, node)
+
+        const { fn, minArgs, maxArgs } = definition
+        const { lazy, trapsErrors, referenceArgs, usesContext } = definition
+        const call = (args) =>
+          usesContext ? fn(context, ...args) : fn(...args)
+
+        if (definition.volatile) context.volatile = true
+
+        if (node.args.length < minArgs || node.args.length > maxArgs)
+          return errorAt(
+            CODES.ERROR,
+            `${node.name} expects ${describeArity(definition)} but got ${
+              node.args.length
+            }`,
+            node
+          )
+
+        // Lazy functions get their arguments as thunks, so branches not
+        // taken are never evaluated.
+        if (lazy)
+          return checkNumber(
+            call(node.args.map((arg) => () => evaluate(arg, context, scope))),
+            node
+          )
+
+        const args = node.args.map((arg, i) => {
+          if (referenceArgs.includes(i))
+            return evaluateReference(arg, context, scope)
+
+          const value = evaluate(arg, context, scope)
+
+          return arg.type === "ref" && isRangeArg(definition, i)
+            ? [[value]]
+            : value
+        })
+        const argError = !trapsErrors && Errors.findError(args)
+
+        if (argError) return argError
+
+        return checkNumber(call(args), node)
+
+      default:
+        throw new FormulaError(`Unknown expression type "${node.type}"`)
+    }
+  }
+
+  // Whether single-cell refs are given to the function as ranges (see
+  // `Helpers.define`).
+  const isRangeArg = ({ refsAsRanges }, i) =>
+    refsAsRanges instanceof Array
+      ? refsAsRanges[Math.min(i, refsAsRanges.length - 1)]
+      : refsAsRanges
+
+  // All the nodes of the tree `node` is the root of, itself included.
+  const nodesOf = (node) => [
+    node,
+    ...Object.values(node)
+      .flat()
+      .filter((child) => child instanceof Object && "type" in child)
+      .flatMap(nodesOf)
+  ]
+
+  // The display format of the formula's result (e.g. `Dates.FORMATS.date`),
+  // or null for the default one. It comes from the function called, the
+  // cell referenced (`formatOfRef(ref, sheet)`), the definition of the name
+  // used (`nameDefinition(name)`, as in `evaluate`), and is kept when adding
+  // or subtracting numbers, as in `=A1+7`, but not by the difference of two
+  // dates, which is a number of days.
+  const formatOf = (node, formatOfRef, nameDefinition) => {
+    switch (node.type) {
+      case "ref":
+      case "spill":
+        return formatOfRef(node.ref, node.sheet)
+
+      case "name":
+        const namedExpression = nameDefinition?.(node.name)
+
+        return namedExpression
+          ? formatOf(namedExpression, formatOfRef, nameDefinition)
+          : null
+
+      case "call":
+        return Functions.find(node.name)?.format ?? null
+
+      case "binary":
+        if (!ADDITIVE_OPERATORS.includes(node.operator)) return null
+
+        const leftFormat = formatOf(node.left, formatOfRef, nameDefinition)
+        const rightFormat = formatOf(node.right, formatOfRef, nameDefinition)
+
+        if (node.operator === "-") return rightFormat ? null : leftFormat
+
+        return leftFormat ?? rightFormat
+
+      default:
+        return null
+    }
+  }
+
+  return {
+    FormulaError,
+    tokenize,
+    parse,
+    findRefs,
+    replaceRefs,
+    refAtPosition,
+    replaceSheetRefs,
+    isValidName,
+    findNames,
+    replaceNames,
+    evaluate,
+    nodesOf,
+    formatOf
+  }
+})()
+
+export default Formula
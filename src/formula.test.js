@@ -0,0 +1,445 @@
+import Formula from "./formula"
+import Errors from "./errors"
+import Util from "./util"
+import Functions from "./functions"
+
+const { CODES } = Errors
+
+const CELLS = {
+  A1: 2,
+  A2: 3,
+  B1: "text",
+  B2: "invoice?",
+  C1: new Errors.CellError(CODES.DIV0)
+}
+
+const context = {
+  valueOf: (ref) => CELLS[ref] ?? null,
+  rangeValues: (from, to) =>
+    Util.expandRange(`${from}:${to}`).map((refs) => refs.map(context.valueOf))
+}
+
+const evaluate = (formula) => Formula.evaluate(Formula.parse(formula), context)
+
+describe("Formula.parse", () => {
+  it("gives operators their precedence", () => {
+    expect(evaluate("=1+2*3")).toBe(7)
+    expect(evaluate("=(1+2)*3")).toBe(9)
+    expect(evaluate("=2*3^2")).toBe(18)
+    expect(evaluate("=2^3^2")).toBe(64)
+    expect(evaluate("=10-4-3")).toBe(3)
+    expect(evaluate("=1+2&3")).toBe("33")
+    expect(evaluate("=1+1=2")).toBe(true)
+    expect(evaluate("=50%*4")).toBe(2)
+  })
+
+  it("binds unary minus tighter than any other operator", () => {
+    expect(evaluate("=-2^2")).toBe(4)
+    expect(evaluate("=2*-3")).toBe(-6)
+    expect(evaluate("=--A1")).toBe(2)
+    expect(evaluate("=-A1+A2")).toBe(1)
+  })
+
+  it("takes empty arguments as omitted", () => {
+    const { args } = Formula.parse("=SUM(1,,2)")
+
+    expect(args.map((arg) => arg.type)).toEqual(["number", "omitted", "number"])
+    expect(Formula.parse("=IF(A1,)").args[1].type).toBe("omitted")
+    expect(Formula.parse("=NOW()").args).toEqual([])
+    expect(evaluate("=IF(FALSE,1,)")).toBeUndefined()
+    expect(evaluate("=SUM(1,,2)")).toBe(3)
+    expect(evaluate("=XLOOKUP(2.5,A1:A2,A1:A2,,-1)")).toBe(2)
+    expect(evaluate("=XLOOKUP(9,A1:A2,A1:A2,)").code).toBe(CODES.NA)
+  })
+
+  it("gives nodes the span of the formula they come from", () => {
+    const formula = "=SUM(A1:B2, -C3*2,)"
+    const ast = Formula.parse(formula)
+    const textOf = ({ start, end }) => formula.slice(start, end)
+
+    expect(textOf(ast)).toBe("SUM(A1:B2, -C3*2,)")
+    expect(ast.args.map(textOf)).toEqual(["A1:B2", "-C3*2", ""])
+    expect(ast.args[1].left).toMatchObject({ start: 12, end: 15 })
+    expect(ast.args[2]).toMatchObject({ start: 18, end: 18 })
+    expect(Formula.nodesOf(ast)).toHaveLength(7)
+  })
+
+  it("swaps the corners of ranges given the other way round", () => {
+    expect(Formula.parse("=SUM(B2:A1)").args[0]).toMatchObject({
+      from: "A1",
+      to: "B2"
+    })
+    expect(Formula.parse("=SUM(A2:B1)").args[0]).toMatchObject({
+      from: "A1",
+      to: "B2"
+    })
+    expect(Formula.parse("=SUM(B$2:$A1)").args[0]).toMatchObject({
+      from: "A1",
+      to: "B2"
+    })
+    expect(Formula.parse("=SUM(C:$A)").args[0]).toMatchObject({
+      from: "A",
+      to: "C"
+    })
+    expect(evaluate("=SUM(A2:A1)")).toBe(5)
+    expect(evaluate("=ROWS(A1:B3)")).toBe(3)
+    expect(evaluate("=COLS(B3:A1)")).toBe(2)
+  })
+
+  it("parses open ranges", () => {
+    expect(Formula.parse("=SUM(A:B)").args[0]).toMatchObject({
+      type: "range",
+      from: "A",
+      to: "B"
+    })
+    expect(Formula.parse("=SUM($3:5)").args[0]).toMatchObject({
+      from: "3",
+      to: "5"
+    })
+    expect(Formula.parse("=SUM(B2:B)").args[0]).toMatchObject({
+      from: "B2",
+      to: "B"
+    })
+    expect(() => Formula.parse("=SUM(A:1)")).toThrow('Invalid range "A:1"')
+  })
+
+  it("reports the position of syntax errors", () => {
+    const errorOf = (formula) => {
+      try {
+        Formula.parse(formula)
+      } catch (e) {
+        return e
+      }
+    }
+
+    expect(errorOf("=1+")).toEqual(
+      new Formula.FormulaError("Unexpected end of formula", 4)
+    )
+    expect(errorOf("=SUM(1))").message).toBe(
+      'Unexpected token ")" at position 8'
+    )
+    expect(errorOf('="abc').message).toBe("Unterminated string at position 2")
+    expect(errorOf("=1 ? 2").message).toBe(
+      'Unexpected character "?" at position 4'
+    )
+  })
+})
+
+describe("Formula.refAtPosition", () => {
+  it("finds the ref under the cursor", () => {
+    expect(Formula.refAtPosition("=A1+$B$2", 2)).toEqual({
+      ref: "A1",
+      start: 1,
+      end: 3
+    })
+    expect(Formula.refAtPosition("=A1+$B$2", 5)).toMatchObject({ ref: "$B$2" })
+    expect(Formula.refAtPosition("=SUM(A1:B2)", 9)).toEqual({
+      ref: "B2",
+      start: 8,
+      end: 10
+    })
+    expect(Formula.refAtPosition("=Sheet2!C3", 9)).toMatchObject({
+      ref: "C3",
+      start: 8
+    })
+  })
+
+  it("skips strings, functions and open ranges", () => {
+    expect(Formula.refAtPosition('="A1"', 3)).toBeUndefined()
+    expect(Formula.refAtPosition("=LOG10(2)", 4)).toBeUndefined()
+    expect(Formula.refAtPosition("=SUM(A:A)", 5)).toBeUndefined()
+    expect(Formula.refAtPosition('="abc', 2)).toBeUndefined()
+  })
+})
+
+describe("Formula.evaluate", () => {
+  it("returns errors as values", () => {
+    expect(evaluate("=1/0").code).toBe(CODES.DIV0)
+    expect(evaluate("=B1+1").code).toBe(CODES.VALUE)
+    expect(evaluate("=#N/A+1").code).toBe(CODES.NA)
+    expect(evaluate("=UNKNOWN(1)").code).toBe(CODES.NAME)
+    expect(evaluate("=10^1000").code).toBe(CODES.NUM)
+    expect(evaluate("=1/0").message).toBe("Division by zero at position 3")
+  })
+
+  it("propagates the first error among the arguments", () => {
+    expect(evaluate("=SUM(1,1/0,#N/A)").code).toBe(CODES.DIV0)
+    expect(evaluate("=SUM(A1:C1)").code).toBe(CODES.DIV0)
+    expect(evaluate("=IFERROR(1/0,A2)")).toBe(3)
+    expect(evaluate("=ISNA(#N/A)")).toBe(true)
+    expect(evaluate("=-(1/0)").code).toBe(CODES.DIV0)
+    expect(evaluate("=(1/0)&#N/A").code).toBe(CODES.DIV0)
+    expect(evaluate("=#N/A=1/0").code).toBe(CODES.NA)
+  })
+
+  it("rejects calls with the wrong number of arguments", () => {
+    expect(evaluate("=MAX()").code).toBe(CODES.ERROR)
+    expect(evaluate("=MIN()").message).toBe(
+      "MIN expects at least 1 argument but got 0 at position 2"
+    )
+    expect(evaluate("=NOT(TRUE,FALSE)").code).toBe(CODES.ERROR)
+    expect(evaluate("=COUNTBLANK(A1:A2,A1)").code).toBe(CODES.ERROR)
+  })
+})
+
+describe("Functions.register", () => {
+  afterEach(() => Functions.unregister("DOUBLE"))
+
+  it("adds functions with their arity and coercions", () => {
+    Functions.register("double", (number) => number * 2, {
+      minArgs: 1,
+      maxArgs: 1,
+      coerce: "number"
+    })
+
+    expect(evaluate("=DOUBLE(A1)")).toBe(4)
+    expect(evaluate('=Double("3")')).toBe(6)
+    expect(evaluate("=DOUBLE(B1)").code).toBe(CODES.VALUE)
+    expect(evaluate("=DOUBLE(A1:A2)").code).toBe(CODES.VALUE)
+    expect(evaluate("=DOUBLE()").code).toBe(CODES.ERROR)
+    expect(evaluate("=DOUBLE(1/0)").code).toBe(CODES.DIV0)
+  })
+
+  it("replaces custom functions but not built-in ones", () => {
+    Functions.register("DOUBLE", (number) => number * 2)
+    Functions.register("DOUBLE", (number) => number + number + 1)
+
+    expect(evaluate("=DOUBLE(1)")).toBe(3)
+    expect(() => Functions.register("SUM", () => 0)).toThrow(
+      "SUM is a built-in function"
+    )
+    expect(() => Functions.register("1X", () => 0)).toThrow(
+      'Invalid function name "1X"'
+    )
+    expect(() => Functions.register("TWICE", 2)).toThrow(
+      "TWICE must be a function"
+    )
+  })
+
+  it("suggests functions by the start of their names", () => {
+    Functions.register("DOUBLE", (number) => number * 2, {
+      description: "Doubles a number",
+      argNames: ["number"]
+    })
+
+    expect(Functions.suggest("dou")).toEqual([
+      { name: "DOUBLE", description: "Doubles a number", argNames: ["number"] }
+    ])
+    expect(
+      Functions.suggest("IF")
+        .map(({ name }) => name)
+        .slice(0, 3)
+    ).toEqual(["IF", "IFERROR", "IFS"])
+  })
+
+  it("gives #NAME? errors for functions unregistered", () => {
+    Functions.register("DOUBLE", (number) => number * 2)
+    Functions.unregister("DOUBLE")
+
+    expect(evaluate("=DOUBLE(1)").code).toBe(CODES.NAME)
+  })
+})
+
+describe("LET and LAMBDA", () => {
+  it("evaluate calculations with local names", () => {
+    expect(evaluate("=LET(x,A1,y,x*2,x+y)")).toBe(6)
+    expect(evaluate("=LET(A1,5,A1*2)").code).toBe(CODES.ERROR)
+    expect(evaluate("=LET(x,1)").code).toBe(CODES.ERROR)
+    expect(evaluate("=LET(x,1,x,2,x)").message).toMatch("Duplicate name")
+  })
+
+  it("call lambdas", () => {
+    expect(evaluate("=LAMBDA(x,y,x*y)(A1,A2)")).toBe(6)
+    expect(evaluate("=LET(f,LAMBDA(x,x*2),f(5))")).toBe(10)
+    expect(evaluate("=LET(n,3,LAMBDA(x,x+n))(1)")).toBe(4)
+    expect(evaluate("=LET(n,2,n(1))").code).toBe(CODES.VALUE)
+  })
+
+  it("call lambdas with the items, rows or cols of arrays", () => {
+    expect(evaluate("=MAP(A1:A2,LAMBDA(x,x*10))")).toEqual([[20], [30]])
+    expect(evaluate("=MAP(A1:A2,A1:A2,LAMBDA(x,y,x*y))")).toEqual([[4], [9]])
+    expect(evaluate("=REDUCE(1,A1:A2,LAMBDA(a,x,a*x))")).toBe(6)
+    expect(evaluate("=BYROW(A1:A2,LAMBDA(row,SUM(row)+1))")).toEqual([[3], [4]])
+    expect(evaluate("=BYCOL(A1:A2,LAMBDA(col,SUM(col)))")).toEqual([[5]])
+    expect(evaluate("=MAP(A1:A2,1)").code).toBe(CODES.VALUE)
+  })
+})
+
+describe("Logical functions", () => {
+  it("evaluate only the branch taken", () => {
+    expect(evaluate("=IF(A1>1,A2,1/0)")).toBe(3)
+    expect(evaluate("=IF(A1>2,1/0)")).toBe(false)
+    expect(evaluate("=IFS(A1>2,1,A1>1,2)")).toBe(2)
+    expect(evaluate("=IFS(A1>2,1)").code).toBe(CODES.NA)
+    expect(evaluate('=SWITCH(A1,1,"one",2,"two")')).toBe("two")
+    expect(evaluate('=SWITCH(A2,1,"one","other")')).toBe("other")
+    expect(evaluate("=SWITCH(A2,1,2)").code).toBe(CODES.NA)
+    expect(evaluate("=IF(B1,1,2)").code).toBe(CODES.VALUE)
+  })
+
+  it("combine logical values", () => {
+    expect(evaluate("=AND(TRUE,A1)")).toBe(true)
+    expect(evaluate("=AND(TRUE,0)")).toBe(false)
+    expect(evaluate("=OR(FALSE,A1>2)")).toBe(false)
+    expect(evaluate("=XOR(TRUE,TRUE,TRUE)")).toBe(true)
+    expect(evaluate("=NOT(A1=2)")).toBe(false)
+    expect(evaluate("=AND(B1:B2)").code).toBe(CODES.VALUE)
+    expect(evaluate("=AND(C1:C2)").code).toBe(CODES.DIV0)
+    expect(evaluate("=OR(A1:A2,C1:C2)").code).toBe(CODES.DIV0)
+    expect(evaluate("=TRUE()=TRUE")).toBe(true)
+  })
+})
+
+describe("Text functions", () => {
+  it("join values as text with &", () => {
+    expect(evaluate('="a"&"b"')).toBe("ab")
+    expect(evaluate("=A1&A2")).toBe("23")
+    expect(evaluate('=B1&" "&TRUE')).toBe("text TRUE")
+    expect(evaluate('=D1&"!"')).toBe("!")
+    expect(evaluate('="say ""hi"""')).toBe('say "hi"')
+    expect(evaluate('="a"&1/0').code).toBe(CODES.DIV0)
+  })
+
+  it("take parts of text", () => {
+    expect(evaluate('=LEFT("spreadsheet",6)')).toBe("spread")
+    expect(evaluate('=LEFT("abc")')).toBe("a")
+    expect(evaluate('=RIGHT("spreadsheet",5)')).toBe("sheet")
+    expect(evaluate('=RIGHT("abc",9)')).toBe("abc")
+    expect(evaluate('=MID("spreadsheet",3,4)')).toBe("read")
+    expect(evaluate('=MID("abc",0,1)').code).toBe(CODES.VALUE)
+    expect(evaluate('=LEFT("abc",-1)').code).toBe(CODES.VALUE)
+    expect(evaluate("=LEN(B2)")).toBe(8)
+  })
+
+  it("change and combine text", () => {
+    expect(evaluate("=UPPER(B1)")).toBe("TEXT")
+    expect(evaluate('=LOWER("MiXeD")')).toBe("mixed")
+    expect(evaluate('=TRIM("  a   b ")')).toBe("a b")
+    expect(evaluate('=SUBSTITUTE("a-b-c","-","+")')).toBe("a+b+c")
+    expect(evaluate('=SUBSTITUTE("a-b-c","-","+",2)')).toBe("a-b+c")
+    expect(evaluate('=SUBSTITUTE("a-b","-","+",0)').code).toBe(CODES.VALUE)
+    expect(evaluate('=CONCAT(A1:A2,"x")')).toBe("23x")
+    expect(evaluate('=CONCATENATE(B1,"-",A1)')).toBe("text-2")
+    expect(evaluate("=CONCATENATE(A1:A2)").code).toBe(CODES.VALUE)
+    expect(evaluate('=TEXT(0.256,"0.0%")')).toBe("25.6%")
+  })
+})
+
+describe("Lookup functions", () => {
+  it("match text with wildcards", () => {
+    expect(evaluate('=XLOOKUP("inv*",B1:B2,A1:A2,,2)')).toBe(3)
+    expect(evaluate('=XLOOKUP("t?xt",B1:B2,A1:A2,,2)')).toBe(2)
+    expect(evaluate('=XLOOKUP("*",B1:B2,A1:A2,,2,-1)')).toBe(3)
+    expect(evaluate('=XLOOKUP("*e~?",B1:B2,A1:A2,,2)')).toBe(3)
+    expect(evaluate('=XLOOKUP("inv*",B1:B2,A1:A2)').code).toBe(CODES.NA)
+    expect(evaluate("=XLOOKUP(3,A1:A2,B1:B2,,2)")).toBe("invoice?")
+    expect(evaluate('=MATCH("TE*",B1:B2,0)')).toBe(1)
+    expect(evaluate('=MATCH("invoice~?",B1:B2,0)')).toBe(2)
+    expect(evaluate('=MATCH("invoice~*",B1:B2,0)').code).toBe(CODES.NA)
+  })
+
+  it("match approximately only when VLOOKUP and HLOOKUP are told so", () => {
+    expect(evaluate("=VLOOKUP(2.5,A1:A2,1)")).toBe(2)
+    expect(evaluate("=VLOOKUP(2.5,A1:A2,1,TRUE)")).toBe(2)
+    expect(evaluate("=VLOOKUP(2.5,A1:A2,1,FALSE)").code).toBe(CODES.NA)
+    expect(evaluate("=VLOOKUP(2.5,A1:A2,1,)").code).toBe(CODES.NA)
+    expect(evaluate("=VLOOKUP(3,A1:A2,1,)")).toBe(3)
+    expect(evaluate("=HLOOKUP(2.5,A1:A2,1)")).toBe(2)
+    expect(evaluate("=HLOOKUP(2.5,A1:A2,1,)").code).toBe(CODES.NA)
+  })
+
+  it("rejects unknown XLOOKUP modes", () => {
+    expect(evaluate("=XLOOKUP(3,A1:A2,A1:A2,,3)").code).toBe(CODES.VALUE)
+    expect(evaluate("=XLOOKUP(3,A1:A2,A1:A2,,0.5)").code).toBe(CODES.VALUE)
+    expect(evaluate("=XLOOKUP(3,A1:A2,A1:A2,,0,0)").code).toBe(CODES.VALUE)
+    expect(evaluate("=XLOOKUP(3,A1:A2,A1:A2,,0,-2)")).toBe(3)
+  })
+
+  it("index whole rows and cols with a 0 index", () => {
+    expect(evaluate("=INDEX(A1:B2,2,2)")).toBe("invoice?")
+    expect(evaluate("=INDEX(A1:B2,2,0)")).toEqual([[3, "invoice?"]])
+    expect(evaluate("=INDEX(A1:B2,0,1)")).toEqual([[2], [3]])
+    expect(evaluate("=INDEX(A1:B2,0,0)")).toEqual([
+      [2, "text"],
+      [3, "invoice?"]
+    ])
+    expect(evaluate("=INDEX(A1:B2,2)")).toEqual([[3, "invoice?"]])
+    expect(evaluate("=INDEX(A1:A2,2)")).toBe(3)
+    expect(evaluate("=INDEX(A1:B2,3,0)").code).toBe(CODES.REF)
+    expect(evaluate("=INDEX(A1:B2,1,-1)").code).toBe(CODES.VALUE)
+  })
+})
+
+describe("Date functions", () => {
+  it("count days from 1899-12-30", () => {
+    expect(evaluate("=DATE(1900,1,1)")).toBe(2)
+    expect(evaluate("=DATE(1900,3,1)")).toBe(61)
+    expect(evaluate("=DATE(2024,1,2)")).toBe(45293)
+    expect(evaluate('=DATE(2026,10,18)=("2026-10-18"+0)')).toBe(true)
+  })
+
+  it("format dates as text", () => {
+    expect(evaluate('=TEXT(DATE(2024,1,2),"yyyy-mm-dd")')).toBe("2024-01-02")
+    expect(evaluate('=TEXT(DATE(2024,1,2),"d mmm yy")')).toBe("2 Jan 24")
+    expect(evaluate('=TEXT(DATE(2024,1,2),"dddd, mmmm d")')).toBe(
+      "Tuesday, January 2"
+    )
+    expect(evaluate('=TEXT("2024-01-02 14:05:09","hh:mm:ss")')).toBe("14:05:09")
+    expect(evaluate('=TEXT("2024-01-02 14:05","h:mm AM/PM")')).toBe("2:05 PM")
+    expect(evaluate('=TEXT(DATE(2024,1,2),"d ""de"" mmmm")')).toBe(
+      "2 de January"
+    )
+    expect(evaluate('=TEXT(1234.5,"#,##0.00")')).toBe("1,234.50")
+    expect(evaluate('=TEXT(-1,"yyyy")').code).toBe(CODES.VALUE)
+  })
+
+  it("format values as they are displayed, or as text", () => {
+    expect(evaluate('=TEXT(1,"General")')).toBe("1")
+    expect(evaluate('=TEXT(0.5,"general")')).toBe("0.5")
+    expect(evaluate('=TEXT(A2,"@")')).toBe("3")
+    expect(evaluate('=TEXT(TRUE,"@")')).toBe("TRUE")
+    expect(evaluate('=TEXT(B1,"0.00")')).toBe("text")
+    expect(evaluate('=TEXT("abc","@")')).toBe("abc")
+    expect(evaluate('=TEXT("12","0.0")')).toBe("12.0")
+    expect(evaluate('=TEXT(1,"zzz")').code).toBe(CODES.VALUE)
+  })
+
+  it("add months, keeping to the last day of shorter ones", () => {
+    expect(evaluate("=EDATE(DATE(2024,1,31),1)")).toBe(
+      evaluate("=DATE(2024,2,29)")
+    )
+    expect(evaluate("=EDATE(DATE(2024,3,31),-13)")).toBe(
+      evaluate("=DATE(2023,2,28)")
+    )
+    expect(evaluate('=EDATE("2026-10-18",2)')).toBe(
+      evaluate("=DATE(2026,12,18)")
+    )
+  })
+
+  it("count the years, months and days between dates", () => {
+    const datedif = (unit) =>
+      evaluate(`=DATEDIF(DATE(2020,1,15),DATE(2024,3,10),"${unit}")`)
+
+    expect(datedif("Y")).toBe(4)
+    expect(datedif("M")).toBe(49)
+    expect(datedif("D")).toBe(1516)
+    expect(datedif("MD")).toBe(24)
+    expect(datedif("YM")).toBe(1)
+    expect(datedif("YD")).toBe(55)
+    expect(evaluate('=DATEDIF(DATE(2024,1,1),DATE(2023,1,1),"D")').code).toBe(
+      CODES.NUM
+    )
+    expect(datedif("W").code).toBe(CODES.NUM)
+  })
+
+  it("count working days, without weekends and holidays", () => {
+    expect(evaluate("=NETWORKDAYS(DATE(2026,10,16),DATE(2026,10,23))")).toBe(6)
+    expect(evaluate("=NETWORKDAYS(DATE(2026,10,23),DATE(2026,10,16))")).toBe(-6)
+    expect(
+      evaluate(
+        "=NETWORKDAYS(DATE(2026,10,16),DATE(2026,10,23),DATE(2026,10,19))"
+      )
+    ).toBe(5)
+    expect(evaluate("=NETWORKDAYS(DATE(2026,10,17),DATE(2026,10,18))")).toBe(0)
+  })
+})
@@ -0,0 +1,142 @@
+import Util from "../util"
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Functions returning arrays, which spill into the cells below and to the
+// right of the formula's one (see `Cell#_spillArea`). Single values are
+// taken as 1x1 arrays.
+const ArrayFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, asTable, withScalars } = Helpers
+  const { toNumber, toBoolean, compare } = Values
+
+  const transpose = (table) =>
+    (table[0] ?? []).map((_, col) => table.map((row) => row[col]))
+
+  // Calls `fn` with the rows of `array`, or its cols when `byCol`, and
+  // turns the resulting rows back into cols.
+  const withLines = (array, byCol, fn) => {
+    const table = asTable(array)
+    const result = fn(byCol ? transpose(table) : table)
+
+    return byCol && result instanceof Array ? transpose(result) : result
+  }
+
+  const sameLine = (line, other) =>
+    line.length === other.length &&
+    line.every((value, i) => compare(value, other[i]) === 0)
+
+  // SEQUENCE(rows, [cols], [start], [step]), no bigger than a sheet.
+  const SEQUENCE = (rows, cols = 1, start = 1, step = 1) =>
+    withScalars(
+      [rows, cols, start, step],
+      toNumber,
+      (rows, cols, start, step) => {
+        const [rowCount, colCount] = [rows, cols].map(Math.trunc)
+
+        if (rowCount < 1 || colCount < 1)
+          return new CellError(CODES.VALUE, "Rows and cols must be >= 1")
+        if (rowCount > Util.MAX_ROWS || colCount > Util.MAX_COLS)
+          return new CellError(
+            CODES.NUM,
+            `Rows and cols must be <= ${Util.MAX_ROWS} and ${Util.MAX_COLS}`
+          )
+
+        return Array.from({ length: rowCount }, (_, row) =>
+          Array.from(
+            { length: colCount },
+            (_, col) => start + (row * colCount + col) * step
+          )
+        )
+      }
+    )
+
+  // FILTER(array, include, [if_empty]), where include is a col with a
+  // condition per row of array, or a row with one per col.
+  const FILTER = (array, include, ifEmpty) => {
+    const table = asTable(array)
+    const conditions = asTable(include)
+    let byCol
+
+    if (
+      conditions.length === table.length &&
+      conditions.every((row) => row.length === 1)
+    )
+      byCol = false
+    else if (
+      conditions.length === 1 &&
+      conditions[0].length === (table[0] ?? []).length
+    )
+      byCol = true
+    else
+      return new CellError(CODES.VALUE, "Include must match the array's size")
+
+    const flags = (byCol ? conditions[0] : conditions.flat()).map(toBoolean)
+    const error = Errors.findError(flags)
+
+    if (error) return error
+
+    const result = withLines(table, byCol, (lines) =>
+      lines.filter((_, i) => flags[i])
+    )
+
+    return result.length === 0 || result[0].length === 0
+      ? ifEmpty ?? new CellError(CODES.CALC, "No matches found")
+      : result
+  }
+
+  // SORT(array, [sort_index], [sort_order], [by_col]), where sort_order is 1
+  // (ascending) or -1 (descending).
+  const SORT = (array, sortIndex = 1, sortOrder = 1, byCol = false) =>
+    withScalars(
+      [sortIndex, sortOrder, byCol],
+      [toNumber, toNumber, toBoolean],
+      (sortIndex, sortOrder, byCol) =>
+        withLines(array, byCol, (lines) => {
+          const index = Math.trunc(sortIndex)
+
+          if (index < 1 || index > (lines[0] ?? []).length)
+            return new CellError(CODES.VALUE, "Sort index out of bounds")
+
+          if (![1, -1].includes(sortOrder))
+            return new CellError(CODES.VALUE, "Sort order must be 1 or -1")
+
+          return [...lines].sort(
+            (line, other) =>
+              compare(line[index - 1], other[index - 1]) * sortOrder
+          )
+        })
+    )
+
+  // UNIQUE(array, [by_col], [exactly_once]): the distinct rows (or cols) of
+  // array, or those appearing exactly once.
+  const UNIQUE = (array, byCol = false, exactlyOnce = false) =>
+    withScalars([byCol, exactlyOnce], toBoolean, (byCol, exactlyOnce) =>
+      withLines(array, byCol, (lines) => {
+        const result = lines.filter((line, i) => {
+          const count = lines.filter((other) => sameLine(line, other)).length
+          const isFirst =
+            lines.findIndex((other) => sameLine(line, other)) === i
+
+          return exactlyOnce ? count === 1 : isFirst
+        })
+
+        return result.length === 0
+          ? new CellError(CODES.CALC, "No unique values found")
+          : result
+      })
+    )
+
+  const TRANSPOSE = (array) => transpose(asTable(array))
+
+  return {
+    SEQUENCE: define(SEQUENCE, { minArgs: 1, maxArgs: 4 }),
+    FILTER: define(FILTER, { minArgs: 2, maxArgs: 3 }),
+    SORT: define(SORT, { minArgs: 1, maxArgs: 4 }),
+    UNIQUE: define(UNIQUE, { minArgs: 1, maxArgs: 3 }),
+    TRANSPOSE: define(TRANSPOSE, { minArgs: 1, maxArgs: 1 })
+  }
+})()
+
+export default ArrayFunctions
@@ -0,0 +1,180 @@
+import Errors from "../errors"
+import Values from "../values"
+import Dates from "../dates"
+import Helpers from "./helpers"
+
+// Dates are serial numbers (see `Dates`), so any number (or date text, e.g.
+// "2026-10-18") is accepted where a date is expected. Times are ignored.
+const DateFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, numbersIn, withScalars } = Helpers
+  const { toNumber, toText } = Values
+  const { FORMATS, toSerial, fromSerial, daysInMonth } = Dates
+
+  const DATEDIF_UNITS = ["Y", "M", "D", "MD", "YM", "YD"]
+
+  const MAX_YEAR = 9999
+
+  // Calls `fn` with the parts of each date (see `Dates.fromSerial`), unless
+  // any of them is negative.
+  const withDates = (values, fn) =>
+    withScalars(values, toNumber, (...serials) =>
+      serials.some((serial) => serial < 0)
+        ? new CellError(CODES.NUM, "Dates must not be negative")
+        : fn(...serials.map((serial) => fromSerial(Math.floor(serial))))
+    )
+
+  // Whole months from `start` to `end` (both date parts).
+  const monthsBetween = (start, end) =>
+    (end.year - start.year) * 12 +
+    end.month -
+    start.month -
+    (end.day < start.day ? 1 : 0)
+
+  // Serial 0 is a Saturday.
+  const isWeekend = (serial) => serial % 7 < 2
+
+  // DATE(year, month, day)
+  const DATE = (...values) =>
+    withScalars(values, toNumber, (year, month, day) => {
+      year = Math.trunc(year)
+
+      // As in other spreadsheet applications, years 0 to 1899 are taken as
+      // relative to 1900.
+      if (year >= 0 && year < 1900) year += 1900
+
+      if (year < 1900 || year > MAX_YEAR)
+        return new CellError(CODES.NUM, `Invalid year ${year}`)
+
+      const serial = toSerial(year, Math.trunc(month), Math.trunc(day))
+
+      return serial < 0
+        ? new CellError(CODES.NUM, "Dates must not be negative")
+        : serial
+    })
+
+  const TODAY = () => Math.floor(Dates.now())
+
+  const NOW = () => Dates.now()
+
+  const YEAR = (date) => withDates([date], ({ year }) => year)
+
+  const MONTH = (date) => withDates([date], ({ month }) => month)
+
+  const DAY = (date) => withDates([date], ({ day }) => day)
+
+  // EDATE(start_date, months): the same day, months later (or earlier), or
+  // the last day of that month when shorter (e.g. Jan 31 + 1 is Feb 28).
+  const EDATE = (startDate, months) =>
+    withScalars([months], toNumber, (months) =>
+      withDates([startDate], ({ year, month, day }) => {
+        const monthIndex = year * 12 + month - 1 + Math.trunc(months)
+        const newYear = Math.floor(monthIndex / 12)
+        const newMonth = (monthIndex % 12) + 1
+
+        if (newYear < 1900 || newYear > MAX_YEAR)
+          return new CellError(CODES.NUM, `Invalid year ${newYear}`)
+
+        return toSerial(
+          newYear,
+          newMonth,
+          Math.min(day, daysInMonth(newYear, newMonth))
+        )
+      })
+    )
+
+  // DATEDIF(start_date, end_date, unit), where unit is one of
+  // `DATEDIF_UNITS`: complete years, months or days between the dates, or
+  // the days ignoring months and years ("MD"), the months ignoring years
+  // ("YM") or the days ignoring years ("YD").
+  const DATEDIF = (startDate, endDate, unit) =>
+    withScalars([unit], toText, (unit) => {
+      unit = unit.toUpperCase()
+
+      if (!DATEDIF_UNITS.includes(unit))
+        return new CellError(CODES.NUM, `Unknown unit "${unit}"`)
+
+      return withDates([startDate, endDate], (start, end) => {
+        const startSerial = toSerial(start.year, start.month, start.day)
+        const endSerial = toSerial(end.year, end.month, end.day)
+
+        if (startSerial > endSerial)
+          return new CellError(
+            CODES.NUM,
+            "The start date must not be after the end date"
+          )
+
+        const months = monthsBetween(start, end)
+
+        switch (unit) {
+          case "Y":
+            return Math.floor(months / 12)
+
+          case "M":
+            return months
+
+          case "D":
+            return endSerial - startSerial
+
+          case "MD":
+            return end.day >= start.day
+              ? end.day - start.day
+              : endSerial - toSerial(end.year, end.month - 1, start.day)
+
+          case "YM":
+            return months % 12
+
+          default:
+            // "YD"
+            const anniversary = toSerial(end.year, start.month, start.day)
+
+            return anniversary <= endSerial
+              ? endSerial - anniversary
+              : endSerial - toSerial(end.year - 1, start.month, start.day)
+        }
+      })
+    })
+
+  // NETWORKDAYS(start_date, end_date, [holidays]): weekdays between both
+  // dates (inclusive) which aren't holidays, negative when start_date is
+  // after end_date.
+  const NETWORKDAYS = (startDate, endDate, holidays = []) => {
+    const holidaySerials = numbersIn([holidays])
+    const holidayError = Errors.findError(holidaySerials)
+
+    if (holidayError) return holidayError
+
+    const holidaySet = new Set(holidaySerials.map(Math.floor))
+
+    return withScalars([startDate, endDate], toNumber, (start, end) => {
+      const [first, last] = [start, end].map(Math.floor).sort((a, b) => a - b)
+      let count = 0
+
+      if (first < 0)
+        return new CellError(CODES.NUM, "Dates must not be negative")
+
+      for (let serial = first; serial <= last; serial++)
+        if (!isWeekend(serial) && !holidaySet.has(serial)) count++
+
+      return start > end ? -count : count
+    })
+  }
+
+  return {
+    DATE: define(DATE, { minArgs: 3, maxArgs: 3, format: FORMATS.date }),
+    TODAY: define(TODAY, { maxArgs: 0, volatile: true, format: FORMATS.date }),
+    NOW: define(NOW, {
+      maxArgs: 0,
+      volatile: true,
+      format: FORMATS.datetime
+    }),
+    YEAR: define(YEAR, { minArgs: 1, maxArgs: 1 }),
+    MONTH: define(MONTH, { minArgs: 1, maxArgs: 1 }),
+    DAY: define(DAY, { minArgs: 1, maxArgs: 1 }),
+    EDATE: define(EDATE, { minArgs: 2, maxArgs: 2, format: FORMATS.date }),
+    DATEDIF: define(DATEDIF, { minArgs: 3, maxArgs: 3 }),
+    NETWORKDAYS: define(NETWORKDAYS, { minArgs: 2, maxArgs: 3 })
+  }
+})()
+
+export default DateFunctions
@@ -0,0 +1,226 @@
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Time value of money functions, with the argument order and sign
+// conventions of other spreadsheet applications: money paid out is negative
+// and money received is positive. `type` is 0 for payments at the end of
+// each period (the default) and 1 for payments at its beginning. Rates are
+// per period, e.g. 5%/12 for a yearly 5% paid monthly.
+const FinancialFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, asTable, numbersIn, sum, withNumbers, withScalars } = Helpers
+  const { toNumber } = Values
+
+  // For the solvers behind IRR, XIRR and RATE.
+  const MAX_ITERATIONS = 100
+  const TOLERANCE = 1e-10
+  const DAYS_PER_YEAR = 365
+
+  // Newton's method, starting from `guess`, with a numeric derivative.
+  const findRoot = (fn, guess) => {
+    let rate = guess
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      const step = Math.max(Math.abs(rate), 1) * 1e-7
+      const value = fn(rate)
+      const derivative = (fn(rate + step) - fn(rate - step)) / (2 * step)
+      const nextRate = rate - value / derivative
+
+      if (!Number.isFinite(nextRate)) break
+      if (Math.abs(nextRate - rate) < TOLERANCE) return nextRate
+
+      rate = nextRate
+    }
+
+    return new CellError(
+      CODES.NUM,
+      `No convergence after ${MAX_ITERATIONS} iterations`
+    )
+  }
+
+  // Both a payment and a receipt are needed for a rate of return.
+  const hasMixedSigns = (amounts) =>
+    amounts.some((amount) => amount > 0) && amounts.some((amount) => amount < 0)
+
+  // The future value of the present value and all the payments, which is
+  // what makes each function's equation (e.g. solved for the payment by
+  // PMT) add up to 0 along with `fv`.
+  const futureValue = (rate, nper, pmt, pv, type) => {
+    if (rate === 0) return pv + pmt * nper
+
+    const growth = (1 + rate) ** nper
+
+    return pv * growth + (pmt * (1 + rate * type) * (growth - 1)) / rate
+  }
+
+  // PMT(rate, nper, pv, [fv], [type])
+  const PMT = (...values) =>
+    withScalars(values, toNumber, (rate, nper, pv, fv = 0, type = 0) => {
+      type = type ? 1 : 0
+
+      if (rate === 0) return -(pv + fv) / nper
+
+      const growth = (1 + rate) ** nper
+
+      return -(rate * (fv + pv * growth)) / ((1 + rate * type) * (growth - 1))
+    })
+
+  // FV(rate, nper, pmt, [pv], [type])
+  const FV = (...values) =>
+    withScalars(
+      values,
+      toNumber,
+      (rate, nper, pmt, pv = 0, type = 0) =>
+        -futureValue(rate, nper, pmt, pv, type ? 1 : 0)
+    )
+
+  // PV(rate, nper, pmt, [fv], [type])
+  const PV = (...values) =>
+    withScalars(values, toNumber, (rate, nper, pmt, fv = 0, type = 0) => {
+      type = type ? 1 : 0
+
+      if (rate === 0) return -(fv + pmt * nper)
+
+      const growth = (1 + rate) ** nper
+
+      return -(fv + (pmt * (1 + rate * type) * (growth - 1)) / rate) / growth
+    })
+
+  // The interest part of the payment in period `per` (from 1 to `nper`).
+  const interestPayment = (rate, per, nper, pv, fv, type) => {
+    const pmt = PMT(rate, nper, pv, fv, type)
+
+    // With payments at the beginning of each period, the first one is made
+    // before any interest.
+    if (per === 1) return type ? 0 : -pv * rate
+
+    const balance = type
+      ? futureValue(rate, per - 2, pmt, pv, 1) + pmt
+      : futureValue(rate, per - 1, pmt, pv, 0)
+
+    return -balance * rate
+  }
+
+  const withPeriod = (values, fn) =>
+    withScalars(values, toNumber, (rate, per, nper, pv, fv = 0, type = 0) =>
+      per < 1 || per > nper
+        ? new CellError(CODES.NUM, `Period must be between 1 and ${nper}`)
+        : fn(rate, per, nper, pv, fv, type ? 1 : 0)
+    )
+
+  // IPMT(rate, per, nper, pv, [fv], [type])
+  const IPMT = (...values) => withPeriod(values, interestPayment)
+
+  // PPMT(rate, per, nper, pv, [fv], [type])
+  const PPMT = (...values) =>
+    withPeriod(
+      values,
+      (rate, per, nper, pv, fv, type) =>
+        PMT(rate, nper, pv, fv, type) -
+        interestPayment(rate, per, nper, pv, fv, type)
+    )
+
+  // NPV(rate, value1, [value2, ...]), where the first value comes at the end
+  // of the first period.
+  const NPV = (rate, ...values) =>
+    withScalars([rate], toNumber, (rate) =>
+      withNumbers(values, (amounts) =>
+        sum(amounts.map((amount, i) => amount / (1 + rate) ** (i + 1)))
+      )
+    )
+
+  // Amounts and dates (as serial numbers) for XNPV and XIRR, which must all
+  // be numbers, with no date before the first one.
+  const withSchedule = (values, dates, fn) => {
+    const amounts = asTable(values).flat().map(toNumber)
+    const serials = asTable(dates).flat().map(toNumber)
+    const error = Errors.findError([...amounts, ...serials])
+
+    if (error) return error
+
+    if (amounts.length !== serials.length)
+      return new CellError(CODES.NUM, "Values and dates must be of same size")
+
+    if (serials.some((serial) => serial < serials[0]))
+      return new CellError(CODES.NUM, "No date can precede the first one")
+
+    const years = serials.map(
+      (serial) => (Math.floor(serial) - Math.floor(serials[0])) / DAYS_PER_YEAR
+    )
+
+    return fn(amounts, years)
+  }
+
+  const presentValueAt = (rate, amounts, years) =>
+    sum(amounts.map((amount, i) => amount / (1 + rate) ** years[i]))
+
+  // XNPV(rate, values, dates), where the yearly rate applies to the days
+  // since the first date.
+  const XNPV = (rate, values, dates) =>
+    withScalars([rate], toNumber, (rate) =>
+      withSchedule(values, dates, (amounts, years) =>
+        presentValueAt(rate, amounts, years)
+      )
+    )
+
+  // IRR(values, [guess]), the rate for which the NPV of the values (the
+  // first one at the start) is 0.
+  const IRR = (values, guess = 0.1) =>
+    withScalars([guess], toNumber, (guess) => {
+      const amounts = numbersIn([values])
+      const error = Errors.findError(amounts)
+
+      if (error) return error
+
+      if (!hasMixedSigns(amounts))
+        return new CellError(
+          CODES.NUM,
+          "Values must include a payment and a receipt"
+        )
+
+      const periods = amounts.map((_, i) => i)
+
+      return findRoot((rate) => presentValueAt(rate, amounts, periods), guess)
+    })
+
+  // XIRR(values, dates, [guess]), the yearly rate for which XNPV is 0.
+  const XIRR = (values, dates, guess = 0.1) =>
+    withScalars([guess], toNumber, (guess) =>
+      withSchedule(values, dates, (amounts, years) =>
+        hasMixedSigns(amounts)
+          ? findRoot((rate) => presentValueAt(rate, amounts, years), guess)
+          : new CellError(
+              CODES.NUM,
+              "Values must include a payment and a receipt"
+            )
+      )
+    )
+
+  // RATE(nper, pmt, pv, [fv], [type], [guess])
+  const RATE = (...values) =>
+    withScalars(
+      values,
+      toNumber,
+      (nper, pmt, pv, fv = 0, type = 0, guess = 0.1) =>
+        findRoot(
+          (rate) => futureValue(rate, nper, pmt, pv, type ? 1 : 0) + fv,
+          guess
+        )
+    )
+
+  return {
+    PMT: define(PMT, { minArgs: 3, maxArgs: 5 }),
+    IPMT: define(IPMT, { minArgs: 4, maxArgs: 6 }),
+    PPMT: define(PPMT, { minArgs: 4, maxArgs: 6 }),
+    PV: define(PV, { minArgs: 3, maxArgs: 5 }),
+    FV: define(FV, { minArgs: 3, maxArgs: 5 }),
+    NPV: define(NPV, { minArgs: 2, refsAsRanges: [false, true] }),
+    XNPV: define(XNPV, { minArgs: 3, maxArgs: 3 }),
+    IRR: define(IRR, { minArgs: 1, maxArgs: 2, refsAsRanges: [true, false] }),
+    XIRR: define(XIRR, { minArgs: 2, maxArgs: 3 }),
+    RATE: define(RATE, { minArgs: 3, maxArgs: 6 })
+  }
+})()
+
+export default FinancialFunctions
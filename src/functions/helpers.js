@@ -0,0 +1,278 @@
+import Util from "../util"
+import Errors from "../errors"
+import Values from "../values"
+import Dates from "../dates"
+
+// Building blocks shared by the built-in function modules.
+const Helpers = (() => {
+  const { CODES, CellError } = Errors
+
+  const CRITERION_REGEXP = /^(<=|>=|<>|<|>|=)?(.*)$/s
+
+  // Any error among the arguments becomes the result of the call, without the
+  // function being invoked, unless it is defined with `trapsErrors`.
+  // Functions defined as `lazy` receive their arguments as thunks instead,
+  // and are on their own regarding errors.
+  //
+  // Arguments whose indexes are in `referenceArgs` are received as
+  // `{ from, to }` refs instead of values, and `usesContext` functions get
+  // the evaluation context (see `Formula.evaluate`) as their first argument,
+  // so they can read cells by themselves.
+  //
+  // With `refsAsRanges` (or an array with one flag per argument, the last one
+  // applying to any extra arguments), single cells given as refs are
+  // received as ranges of one, e.g. text in B1 is ignored by `SUM(B1)` as it
+  // is by `SUM(B1:B2)`, but not by `SUM("text")`.
+  //
+  // `volatile` functions (e.g. TODAY) make their cells recalculate after
+  // every change in the sheet, and results of functions with a `format`
+  // (e.g. `Dates.FORMATS.date`) are displayed that way.
+  //
+  // `coerce` converts the arguments before calling `fn`, returning the first
+  // conversion error instead, with one of `COERCIONS` (or an array with one
+  // per argument, the last one applying to any extra arguments).
+  //
+  // `description` and `argNames` (e.g. ["amount", "[currency]"]) are shown
+  // when suggesting functions as formulas are typed.
+  const define = (
+    fn,
+    {
+      minArgs = 0,
+      maxArgs = Infinity,
+      lazy = false,
+      trapsErrors = false,
+      referenceArgs = [],
+      refsAsRanges = false,
+      usesContext = false,
+      volatile = false,
+      format = null,
+      coerce = null,
+      description = "",
+      argNames = []
+    } = {}
+  ) => ({
+    fn: coerce ? withCoercion(fn, coerce, usesContext) : fn,
+    minArgs,
+    maxArgs,
+    lazy,
+    trapsErrors,
+    referenceArgs,
+    refsAsRanges,
+    usesContext,
+    volatile,
+    format,
+    description,
+    argNames
+  })
+
+  // Scalar coercions give a #VALUE! error for ranges, while "range" takes
+  // scalars as single-cell ranges.
+  const COERCIONS = {
+    any: (value) => value,
+    number: Values.toNumber,
+    text: Values.toText,
+    boolean: Values.toBoolean,
+    range: (value) => asTable(value)
+  }
+
+  const withCoercion = (fn, coerce, usesContext) => {
+    const coercions = [coerce].flat().map((coercion) => {
+      if (!COERCIONS[coercion])
+        throw new TypeError(`Unknown coercion "${coercion}"`)
+
+      return coercion
+    })
+
+    return (...values) => {
+      const args = usesContext ? values.slice(1) : values
+      const converted = args.map((value, i) => {
+        const coercion = coercions[Math.min(i, coercions.length - 1)]
+
+        // Errors get here only for functions which trap them.
+        if (value === undefined || Errors.isError(value)) return value
+
+        if (value instanceof Array && !["any", "range"].includes(coercion))
+          return new CellError(
+            CODES.VALUE,
+            "A range cannot be used as a single value"
+          )
+
+        return COERCIONS[coercion](value)
+      })
+      const conversionError = converted.find(
+        (value, i) => Errors.isError(value) && !Errors.isError(args[i])
+      )
+
+      if (conversionError) return conversionError
+
+      return usesContext ? fn(values[0], ...converted) : fn(...converted)
+    }
+  }
+
+  const asTable = (value) => (value instanceof Array ? value : [[value]])
+
+  // Numbers from ranges (see `refsAsRanges`), where anything else is
+  // ignored, or from scalars, which must be convertible.
+  const numbersIn = (values) =>
+    values.flatMap((value) =>
+      value instanceof Array
+        ? value.flat(2).filter((item) => typeof item === "number")
+        : [Values.toNumber(value)]
+    )
+
+  const sum = (numbers) => numbers.reduce((acc, number) => acc + number, 0)
+
+  // Unlike `Math.max(...numbers)`, these don't hit the limit on the number of
+  // arguments with large ranges. Both are 0 for no numbers at all, as in
+  // other spreadsheet applications.
+  const max = (numbers) =>
+    numbers.length === 0
+      ? 0
+      : numbers.reduce((acc, number) => (number > acc ? number : acc))
+
+  const min = (numbers) =>
+    numbers.length === 0
+      ? 0
+      : numbers.reduce((acc, number) => (number < acc ? number : acc))
+
+  const withNumbers = (values, fn) => {
+    const numbers = numbersIn(values)
+
+    return Errors.findError(numbers) ?? fn(numbers)
+  }
+
+  // Logical values from ranges, where text and blanks are ignored (but not
+  // errors, which are kept to be propagated), or from scalars, which must be
+  // convertible.
+  const logicalValuesIn = (values) =>
+    values.flatMap((value) =>
+      value instanceof Array
+        ? value
+            .flat(2)
+            .filter(
+              (item) =>
+                ["boolean", "number"].includes(typeof item) ||
+                Errors.isError(item)
+            )
+            .map((item) =>
+              Errors.isError(item) ? item : Values.toBoolean(item)
+            )
+        : [Values.toBoolean(value)]
+    )
+
+  const withLogicalValues = (values, fn) => {
+    const booleans = logicalValuesIn(values)
+
+    if (booleans.length === 0)
+      return new CellError(CODES.VALUE, "No logical values found")
+
+    return Errors.findError(booleans) ?? fn(booleans)
+  }
+
+  // Evaluates a (lazy) argument as a condition.
+  const condition = (thunk) => {
+    const value = thunk()
+
+    if (value instanceof Array)
+      return new CellError(CODES.VALUE, "A range cannot be used as a condition")
+
+    return Errors.isError(value) ? value : Values.toBoolean(value)
+  }
+
+  // Converts scalar arguments with `converters` (e.g. `Values.toNumber`, or
+  // an array with one converter per argument), returning the first
+  // conversion error, if any, instead of calling `fn`. Omitted (optional)
+  // arguments are kept undefined.
+  const withScalars = (values, converters, fn) => {
+    const converted = values.map((value, i) => {
+      if (value === undefined) return value
+
+      if (value instanceof Array)
+        return new CellError(
+          CODES.VALUE,
+          "A range cannot be used as a single value"
+        )
+
+      return (converters instanceof Array ? converters[i] : converters)(value)
+    })
+
+    return Errors.findError(converted) ?? fn(...converted)
+  }
+
+  // `*` matches any sequence of chars and `?` any single char, unless
+  // escaped by `~`.
+  const wildcardRegExp = (pattern) => {
+    const source = pattern.replaceAll(
+      /~([*?~])|([*?])|([^*?~]+|~)/g,
+      (_match, escaped, wildcard, text) => {
+        if (wildcard) return wildcard === "*" ? ".*" : "."
+
+        return Util.escapeRegExp(escaped ?? text)
+      }
+    )
+
+    return new RegExp(`^${source}$`, "is")
+  }
+
+  // Builds a predicate from a criterion, as used by SUMIF and alike, e.g.
+  // 10, ">=100", "<>done", "inv*" (see `wildcardRegExp`), "" (blanks) or
+  // "<>" (non-blanks).
+  const criterionPredicate = (criterion) => {
+    const [, operator = "=", operandText] =
+      typeof criterion === "string"
+        ? criterion.match(CRITERION_REGEXP)
+        : [null, "=", criterion]
+    const operand =
+      typeof operandText === "string"
+        ? Dates.parse(operandText)?.value ?? Util.normalizeValue(operandText)
+        : operandText
+
+    if (Values.isBlank(operand))
+      return operator === "<>"
+        ? (value) => !Values.isBlank(value)
+        : (value) => Values.isBlank(value)
+
+    if (typeof operand === "string" && ["=", "<>"].includes(operator)) {
+      const regexp = wildcardRegExp(operand)
+      const matches = (value) => typeof value === "string" && regexp.test(value)
+
+      return operator === "=" ? matches : (value) => !matches(value)
+    }
+
+    return (value) => {
+      // Only values of the same type are compared, e.g. ">5" never matches
+      // text.
+      if (typeof value !== typeof operand) return operator === "<>"
+
+      const comparison = Values.compare(value, operand)
+
+      return {
+        "=": comparison === 0,
+        "<>": comparison !== 0,
+        "<": comparison < 0,
+        ">": comparison > 0,
+        "<=": comparison <= 0,
+        ">=": comparison >= 0
+      }[operator]
+    }
+  }
+
+  return {
+    COERCIONS,
+    define,
+    asTable,
+    criterionPredicate,
+    numbersIn,
+    sum,
+    max,
+    min,
+    withNumbers,
+    logicalValuesIn,
+    withLogicalValues,
+    condition,
+    withScalars,
+    wildcardRegExp
+  }
+})()
+
+export default Helpers
@@ -0,0 +1,97 @@
+import MathFunctions from "./math"
+import LogicalFunctions from "./logical"
+import InformationFunctions from "./information"
+import LookupFunctions from "./lookup"
+import TextFunctions from "./text"
+import DateFunctions from "./date"
+import StatisticalFunctions from "./statistical"
+import ArrayFunctions from "./array"
+import LambdaFunctions from "./lambda"
+import FinancialFunctions from "./financial"
+import Helpers from "./helpers"
+
+// The functions available to formulas, by (upper-cased) name: the built-in
+// ones plus those added with `register`. Range arguments are received as 2D
+// arrays (rows of cols) of values. See `Helpers.define` for how each
+// function is described.
+const Functions = (() => {
+  const NAME_REGEXP = /^[a-z_][a-z0-9_.]*$/i
+
+  const BUILT_IN_FUNCTIONS = {
+    ...MathFunctions,
+    ...LogicalFunctions,
+    ...InformationFunctions,
+    ...LookupFunctions,
+    ...TextFunctions,
+    ...DateFunctions,
+    ...StatisticalFunctions,
+    ...ArrayFunctions,
+    ...LambdaFunctions,
+    ...FinancialFunctions
+  }
+
+  const registry = new Map(Object.entries(BUILT_IN_FUNCTIONS))
+
+  const isBuiltIn = (key) =>
+    Object.prototype.hasOwnProperty.call(BUILT_IN_FUNCTIONS, key)
+
+  const find = (name) => registry.get(name.toUpperCase())
+
+  // Adds a custom function, e.g.
+  //
+  //   Functions.register("DOUBLE", (number) => number * 2, {
+  //     minArgs: 1,
+  //     maxArgs: 1,
+  //     coerce: "number",
+  //     description: "Doubles a number",
+  //     argNames: ["number"]
+  //   })
+  //
+  // with the options of `Helpers.define`. Custom functions can be registered
+  // again (replacing the previous definition), but built-in ones can't.
+  // Cells already using the function pick it up when recalculated. Each
+  // thread has its own functions, so the app registers its custom ones in
+  // `custom-functions.js`, for its worker to have them as well.
+  const register = (name, fn, options = {}) => {
+    const key = String(name).toUpperCase()
+
+    if (!key.match(NAME_REGEXP))
+      throw new TypeError(`Invalid function name "${name}"`)
+
+    if (typeof fn !== "function")
+      throw new TypeError(`${key} must be a function`)
+
+    if (isBuiltIn(key)) throw new TypeError(`${key} is a built-in function`)
+
+    registry.set(key, Helpers.define(fn, options))
+  }
+
+  const unregister = (name) => {
+    const key = name.toUpperCase()
+
+    if (isBuiltIn(key)) throw new TypeError(`${key} is a built-in function`)
+
+    registry.delete(key)
+  }
+
+  // The functions whose names start with `prefix`, for autocompletion, as
+  // `{ name, description, argNames }`.
+  const suggest = (prefix) =>
+    [...registry.keys()]
+      .filter((name) => name.startsWith(prefix.toUpperCase()))
+      .sort()
+      .map((name) => {
+        const { description, argNames } = registry.get(name)
+
+        return { name, description, argNames }
+      })
+
+  return {
+    find,
+    register,
+    unregister,
+    suggest
+  }
+})()
+
+export default Functions
@@ -0,0 +1,21 @@
+import Errors from "../errors"
+import Helpers from "./helpers"
+
+const InformationFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define } = Helpers
+
+  const ISERROR = (value) => Errors.isError(value)
+
+  const ISNA = (value) => Errors.isError(value) && value.code === CODES.NA
+
+  const NA = () => new CellError(CODES.NA)
+
+  return {
+    ISERROR: define(ISERROR, { minArgs: 1, maxArgs: 1, trapsErrors: true }),
+    ISNA: define(ISNA, { minArgs: 1, maxArgs: 1, trapsErrors: true }),
+    NA: define(NA, { maxArgs: 0 })
+  }
+})()
+
+export default InformationFunctions
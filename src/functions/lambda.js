@@ -0,0 +1,92 @@
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Functions calling a lambda (see `Values.Lambda`) with the items, rows or
+// cols of arrays. They trap errors, so those in the arrays reach the lambda.
+const LambdaFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, asTable } = Helpers
+
+  const withLambda = (lambda, fn) => {
+    if (Errors.isError(lambda)) return lambda
+
+    if (!Values.isLambda(lambda))
+      return new CellError(CODES.VALUE, "Expected a lambda")
+
+    return fn()
+  }
+
+  // For functions giving an array with a single value per call.
+  const callForValue = (lambda, args) => {
+    const result = lambda.call(args)
+
+    if (!(result instanceof Array)) return result
+
+    return result.length === 1 && result[0].length === 1
+      ? result[0][0]
+      : new CellError(CODES.CALC, "Nested arrays aren't supported")
+  }
+
+  // MAP(array1, [array2, ...], lambda), whose lambda gets an item of each
+  // array at the same position.
+  const MAP = (...args) => {
+    const lambda = args[args.length - 1]
+
+    return withLambda(lambda, () => {
+      const [first, ...others] = args.slice(0, -1).map(asTable)
+
+      if (
+        others.some(
+          (table) =>
+            table.length !== first.length || table[0].length !== first[0].length
+        )
+      )
+        return new CellError(CODES.VALUE, "Arrays must be of the same size")
+
+      return first.map((row, i) =>
+        row.map((item, j) =>
+          callForValue(lambda, [item, ...others.map((table) => table[i][j])])
+        )
+      )
+    })
+  }
+
+  // REDUCE(initial_value, array, lambda), whose lambda gets the accumulated
+  // value and each item of array in turn.
+  const REDUCE = (initialValue, array, lambda) =>
+    withLambda(lambda, () =>
+      asTable(array)
+        .flat()
+        .reduce((acc, item) => lambda.call([acc, item]), initialValue)
+    )
+
+  // BYROW(array, lambda), whose lambda gets each row (as a single-row
+  // array), giving a col with a value per row.
+  const BYROW = (array, lambda) =>
+    withLambda(lambda, () =>
+      asTable(array).map((row) => [callForValue(lambda, [[row]])])
+    )
+
+  // BYCOL(array, lambda), whose lambda gets each col (as a single-col
+  // array), giving a row with a value per col.
+  const BYCOL = (array, lambda) =>
+    withLambda(lambda, () => {
+      const table = asTable(array)
+
+      return [
+        table[0].map((_, j) =>
+          callForValue(lambda, [table.map((row) => [row[j]])])
+        )
+      ]
+    })
+
+  return {
+    MAP: define(MAP, { minArgs: 2, trapsErrors: true }),
+    REDUCE: define(REDUCE, { minArgs: 3, maxArgs: 3, trapsErrors: true }),
+    BYROW: define(BYROW, { minArgs: 2, maxArgs: 2, trapsErrors: true }),
+    BYCOL: define(BYCOL, { minArgs: 2, maxArgs: 2, trapsErrors: true })
+  }
+})()
+
+export default LambdaFunctions
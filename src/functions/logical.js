@@ -0,0 +1,94 @@
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Conditional functions are lazy, so errors in branches not taken don't
+// affect the result.
+const LogicalFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, withLogicalValues, condition } = Helpers
+
+  const IF = (test, valueIfTrue, valueIfFalse = () => false) => {
+    const result = condition(test)
+
+    if (Errors.isError(result)) return result
+
+    return result ? valueIfTrue() : valueIfFalse()
+  }
+
+  // IFS(test1, value1, test2, value2...)
+  const IFS = (...testsAndValues) => {
+    if (testsAndValues.length % 2 !== 0)
+      return new CellError(CODES.NA, "Missing value for the last test")
+
+    for (let i = 0; i < testsAndValues.length; i += 2) {
+      const result = condition(testsAndValues[i])
+
+      if (Errors.isError(result)) return result
+      if (result) return testsAndValues[i + 1]()
+    }
+
+    return new CellError(CODES.NA, "No test was true")
+  }
+
+  // SWITCH(expression, case1, value1, case2, value2..., [default])
+  const SWITCH = (expression, ...casesAndValues) => {
+    const value = expression()
+
+    if (Errors.isError(value)) return value
+
+    for (let i = 0; i + 1 < casesAndValues.length; i += 2) {
+      const caseValue = casesAndValues[i]()
+
+      if (Errors.isError(caseValue)) return caseValue
+      if (Values.compare(value, caseValue) === 0) return casesAndValues[i + 1]()
+    }
+
+    return casesAndValues.length % 2 === 1
+      ? casesAndValues[casesAndValues.length - 1]()
+      : new CellError(CODES.NA, "No case matched")
+  }
+
+  const IFERROR = (value, valueIfError) => {
+    const result = value()
+
+    return Errors.isError(result) ? valueIfError() : result
+  }
+
+  const AND = (...values) =>
+    withLogicalValues(values, (booleans) => booleans.every(Boolean))
+
+  const OR = (...values) =>
+    withLogicalValues(values, (booleans) => booleans.some(Boolean))
+
+  const XOR = (...values) =>
+    withLogicalValues(
+      values,
+      (booleans) => booleans.filter(Boolean).length % 2 === 1
+    )
+
+  const NOT = (value) => {
+    const result = Values.toBoolean(value)
+
+    return Errors.isError(result) ? result : !result
+  }
+
+  const TRUE = () => true
+
+  const FALSE = () => false
+
+  return {
+    IF: define(IF, { minArgs: 2, maxArgs: 3, lazy: true }),
+    IFS: define(IFS, { minArgs: 2, lazy: true }),
+    SWITCH: define(SWITCH, { minArgs: 3, lazy: true }),
+    IFERROR: define(IFERROR, { minArgs: 2, maxArgs: 2, lazy: true }),
+    AND: define(AND, { minArgs: 1 }),
+    OR: define(OR, { minArgs: 1 }),
+    XOR: define(XOR, { minArgs: 1 }),
+    NOT: define(NOT, { minArgs: 1, maxArgs: 1 }),
+    TRUE: define(TRUE, { maxArgs: 0 }),
+    FALSE: define(FALSE, { maxArgs: 0 })
+  }
+})()
+
+export default LogicalFunctions
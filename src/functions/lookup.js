@@ -0,0 +1,321 @@
+import Util from "../util"
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Lookup and reference functions. Single values are taken as 1x1 tables
+// wherever a table (range) is expected.
+const LookupFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, asTable, withScalars, wildcardRegExp } = Helpers
+  const { toNumber, toBoolean, toText, compare } = Values
+
+  const notFound = () => new CellError(CODES.NA, "Value not found")
+
+  // The values of a single row or col table, or null otherwise.
+  const asVector = (table) => {
+    if (table.length === 1) return table[0]
+    if (table.every((row) => row.length === 1)) return table.map(([v]) => v)
+
+    return null
+  }
+
+  // Match modes of XLOOKUP (see `bestMatchIndex`), and search modes, where
+  // binary searches (2 and -2) are as linear ones, which find the same
+  // matches in sorted values.
+  const MATCH_MODES = [0, -1, 1, 2]
+  const SEARCH_MODES = [1, -1, 2, -2]
+
+  const sameType = (value, other) => typeof value === typeof other
+
+  // Tells the values equal to `lookupValue`, or matching it when it's text
+  // with wildcards (see `Helpers.wildcardRegExp`), e.g. "inv*".
+  const wildcardMatcher = (lookupValue) => {
+    if (typeof lookupValue !== "string")
+      return (value) =>
+        sameType(value, lookupValue) && compare(value, lookupValue) === 0
+
+    const regexp = wildcardRegExp(lookupValue)
+
+    return (value) => typeof value === "string" && regexp.test(value)
+  }
+
+  // `matchType` 0 finds an exact match (with wildcards, see
+  // `wildcardMatcher`), 1 the largest value less than or equal to
+  // `lookupValue` (in ascending sorted values) and -1 the smallest value
+  // greater than or equal to it (in descending sorted values).
+  const matchIndex = (values, lookupValue, matchType) => {
+    if (matchType === 0) return values.findIndex(wildcardMatcher(lookupValue))
+
+    let index = -1
+
+    for (let i = 0; i < values.length; i++) {
+      if (!sameType(values[i], lookupValue)) continue
+      if (compare(values[i], lookupValue) * matchType > 0) break
+
+      index = i
+    }
+
+    return index
+  }
+
+  // XLOOKUP's `matchMode` 0 finds an exact match, -1 an exact match or the
+  // next smaller value, 1 an exact match or the next larger value and 2 a
+  // match with wildcards (see `wildcardMatcher`). Values don't have to be
+  // sorted.
+  const bestMatchIndex = (values, lookupValue, matchMode, searchMode) => {
+    const indexes = Util.sequence(values.length)
+    let bestIndex = -1
+
+    if (searchMode < 0) indexes.reverse()
+
+    if (matchMode === 2) {
+      const matches = wildcardMatcher(lookupValue)
+
+      return indexes.find((i) => matches(values[i])) ?? -1
+    }
+
+    for (const i of indexes) {
+      if (!sameType(values[i], lookupValue)) continue
+
+      const comparison = compare(values[i], lookupValue)
+
+      if (comparison === 0) return i
+
+      const isCandidate = comparison * matchMode > 0
+      const isBetter =
+        bestIndex < 0 || compare(values[i], values[bestIndex]) * matchMode < 0
+
+      if (isCandidate && isBetter) bestIndex = i
+    }
+
+    return bestIndex
+  }
+
+  const lookup = (lookupValue, table, index, approximate, byCol) => {
+    if (lookupValue instanceof Array)
+      return new CellError(CODES.VALUE, "Lookup value must be a single value")
+
+    return withScalars(
+      [index, approximate],
+      [toNumber, toBoolean],
+      (index, approximate) => {
+        let rows = asTable(table)
+
+        // HLOOKUP works on the transposed table.
+        if (!byCol)
+          rows = (rows[0] ?? []).map((_, col) => rows.map((row) => row[col]))
+
+        index = Math.trunc(index)
+
+        if (index < 1) return new CellError(CODES.VALUE, "Index must be >= 1")
+        if (index > (rows[0] ?? []).length)
+          return new CellError(CODES.REF, "Index out of table bounds")
+
+        const i = matchIndex(
+          rows.map((row) => row[0]),
+          lookupValue,
+          approximate ? 1 : 0
+        )
+
+        return i < 0 ? notFound() : rows[i][index - 1]
+      }
+    )
+  }
+
+  // Reads a cell's value, or a 2D array of values for bigger ranges, in the
+  // formula's own sheet or the one named `sheet`.
+  const referenceValues = (context, from, to, sheet = null) =>
+    from === to && Util.isRef(from)
+      ? context.valueOf(from, sheet)
+      : context.rangeValues(from, to, sheet)
+
+  const ROWS = (values) => asTable(values).length
+
+  const COLS = (values) => (asTable(values)[0] ?? []).length
+
+  // The `approximate_match` of VLOOKUP and HLOOKUP, from the arguments after
+  // the index: TRUE when absent, but FALSE when empty (which is omitted, and
+  // undefined), e.g. in `VLOOKUP(1,A1:B9,2,)`.
+  const approximateMatch = (args) => (args.length === 0 ? true : args[0])
+
+  // VLOOKUP(lookup_value, table, col_index, [approximate_match])
+  const VLOOKUP = (lookupValue, table, colIndex, ...args) =>
+    lookup(lookupValue, table, colIndex, approximateMatch(args), true)
+
+  // HLOOKUP(lookup_value, table, row_index, [approximate_match])
+  const HLOOKUP = (lookupValue, table, rowIndex, ...args) =>
+    lookup(lookupValue, table, rowIndex, approximateMatch(args), false)
+
+  // XLOOKUP(lookup_value, lookup_array, return_array, [if_not_found],
+  //         [match_mode], [search_mode])
+  const XLOOKUP = (
+    lookupValue,
+    lookupArray,
+    returnArray,
+    ifNotFound = notFound(),
+    matchMode = 0,
+    searchMode = 1
+  ) => {
+    const lookupTable = asTable(lookupArray)
+    const lookupValues = asVector(lookupTable)
+    const returnTable = asTable(returnArray)
+    const byRow = lookupTable.length > 1
+
+    if (!lookupValues)
+      return new CellError(CODES.VALUE, "Lookup array must be a row or a col")
+
+    if (
+      (byRow ? returnTable.length : (returnTable[0] ?? []).length) !==
+      lookupValues.length
+    )
+      return new CellError(CODES.VALUE, "Array sizes don't match")
+
+    return withScalars(
+      [matchMode, searchMode],
+      toNumber,
+      (matchMode, searchMode) => {
+        if (!MATCH_MODES.includes(matchMode))
+          return new CellError(CODES.VALUE, `Invalid match mode ${matchMode}`)
+
+        if (!SEARCH_MODES.includes(searchMode))
+          return new CellError(CODES.VALUE, `Invalid search mode ${searchMode}`)
+
+        const i = bestMatchIndex(
+          lookupValues,
+          lookupValue,
+          matchMode,
+          searchMode
+        )
+
+        if (i < 0) return ifNotFound
+
+        const result = byRow
+          ? [returnTable[i]]
+          : returnTable.map((row) => [row[i]])
+
+        return result.length === 1 && result[0].length === 1
+          ? result[0][0]
+          : result
+      }
+    )
+  }
+
+  // INDEX(array, row, [col]). A 0 row (or col) returns the whole col (or row).
+  const INDEX = (array, row, col) =>
+    withScalars([row, col], toNumber, (row, col) => {
+      const table = asTable(array)
+      const width = (table[0] ?? []).length
+
+      row = Math.trunc(row)
+
+      if (col === undefined) {
+        // Single row/col arrays can be indexed by position alone.
+        if (table.length === 1) [row, col] = [1, row]
+        else col = width === 1 ? 1 : 0
+      }
+
+      col = Math.trunc(col)
+
+      if (row < 0 || col < 0)
+        return new CellError(CODES.VALUE, "Index must not be negative")
+      if (row > table.length || col > width)
+        return new CellError(CODES.REF, "Index out of array bounds")
+
+      if (row === 0 && col === 0) return table
+      if (row === 0) return table.map((cols) => [cols[col - 1]])
+      if (col === 0) return [table[row - 1]]
+
+      return table[row - 1][col - 1]
+    })
+
+  // MATCH(lookup_value, array, [match_type]). Returns a 1-based position.
+  const MATCH = (lookupValue, array, matchType = 1) =>
+    withScalars([lookupValue, matchType], [(v) => v, toNumber], (_, type) => {
+      const values = asVector(asTable(array))
+
+      if (!values)
+        return new CellError(CODES.NA, "Array must be a row or a col")
+
+      const i = matchIndex(values, lookupValue, Math.sign(type))
+
+      return i < 0 ? notFound() : i + 1
+    })
+
+  // OFFSET(reference, rows, cols, [height], [width]), where reference is a
+  // ref or a bounded range.
+  const OFFSET = (context, reference, rows, cols, height, width) =>
+    withScalars([rows, cols, height, width], toNumber, (...offsets) => {
+      if (Util.isOpenRange(`${reference.from}:${reference.to}`))
+        return new CellError(CODES.REF, "Reference must not be an open range")
+
+      const from = Util.asCoords(reference.from)
+      const to = Util.asCoords(reference.to)
+
+      const [rows, cols] = offsets.slice(0, 2).map(Math.trunc)
+      const [
+        height = to.row - from.row + 1,
+        width = to.col - from.col + 1
+      ] = offsets.slice(2).map((offset) => offset && Math.trunc(offset))
+
+      const [row, col] = [from.row + rows, from.col + cols]
+
+      if (height < 1 || width < 1)
+        return new CellError(CODES.VALUE, "Height and width must be >= 1")
+      if (row < 1 || col < 1)
+        return new CellError(CODES.REF, "Reference out of sheet bounds")
+
+      return referenceValues(
+        context,
+        Util.asRef([row, col]),
+        Util.asRef([row + height - 1, col + width - 1]),
+        reference.sheet
+      )
+    })
+
+  // INDIRECT(ref_text), where `ref_text` is a ref (e.g. "B2") or a range
+  // (e.g. "B2:C5" or "A:A"), optionally in another sheet (e.g.
+  // "'Q1 Budget'!B2").
+  const INDIRECT = (context, refText) =>
+    withScalars([refText], toText, (refText) => {
+      const { sheetName, ref: text } = Util.splitQualifiedRef(refText.trim())
+
+      if (Util.isRef(text)) {
+        const ref = Util.stripAnchors(text)
+
+        return referenceValues(context, ref, ref, sheetName)
+      } else if (Util.isRange(text) || Util.isOpenRange(text)) {
+        const [from, to] = Util.normalizeRange(text)
+          .split(":")
+          .map(Util.stripAnchors)
+
+        return referenceValues(context, from, to, sheetName)
+      }
+
+      return new CellError(CODES.REF, `Invalid reference "${refText}"`)
+    })
+
+  return {
+    ROWS: define(ROWS, { minArgs: 1, maxArgs: 1 }),
+    COLS: define(COLS, { minArgs: 1, maxArgs: 1 }),
+    COLUMNS: define(COLS, { minArgs: 1, maxArgs: 1 }),
+    VLOOKUP: define(VLOOKUP, { minArgs: 3, maxArgs: 4 }),
+    HLOOKUP: define(HLOOKUP, { minArgs: 3, maxArgs: 4 }),
+    XLOOKUP: define(XLOOKUP, { minArgs: 3, maxArgs: 6 }),
+    INDEX: define(INDEX, { minArgs: 2, maxArgs: 3 }),
+    MATCH: define(MATCH, { minArgs: 2, maxArgs: 3 }),
+    OFFSET: define(OFFSET, {
+      minArgs: 3,
+      maxArgs: 5,
+      referenceArgs: [0],
+      usesContext: true
+    }),
+    INDIRECT: define(INDIRECT, {
+      minArgs: 1,
+      maxArgs: 1,
+      usesContext: true
+    })
+  }
+})()
+
+export default LookupFunctions
@@ -0,0 +1,160 @@
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Aggregations. Blanks, text and booleans in ranges (or in single cells
+// referred to) are ignored by the numeric ones, as in other spreadsheet
+// applications.
+const MathFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, asTable, sum, max, min, withNumbers } = Helpers
+  const { criterionPredicate } = Helpers
+
+  const average = (numbers) =>
+    numbers.length === 0
+      ? new CellError(CODES.DIV0)
+      : sum(numbers) / numbers.length
+
+  const onlyNumbers = (values) =>
+    values.filter((value) => typeof value === "number")
+
+  // Scalars passed directly count when convertible to numbers (e.g. "1" or
+  // TRUE), while in ranges only actual numbers do.
+  const isCountable = (value) =>
+    !Values.isBlank(value) &&
+    !Errors.isError(value) &&
+    !Errors.isError(Values.toNumber(value))
+
+  // The values of `target` whose positions match all criteria, given as
+  // (range, criterion) pairs. Ranges must have the same size as `target`.
+  const matchingValues = (target, rangesAndCriteria) => {
+    const targetTable = asTable(target)
+    const conditions = []
+
+    if (rangesAndCriteria.length % 2 !== 0)
+      return new CellError(CODES.VALUE, "Missing criterion for the last range")
+
+    for (let i = 0; i < rangesAndCriteria.length; i += 2) {
+      const range = asTable(rangesAndCriteria[i])
+      const criterion = rangesAndCriteria[i + 1]
+
+      if (
+        range.length !== targetTable.length ||
+        range[0].length !== targetTable[0].length
+      )
+        return new CellError(CODES.VALUE, "Ranges must have the same size")
+
+      if (criterion instanceof Array)
+        return new CellError(CODES.VALUE, "A criterion must be a single value")
+
+      conditions.push([range.flat(), criterionPredicate(criterion)])
+    }
+
+    return targetTable
+      .flat()
+      .filter((_, i) =>
+        conditions.every(([values, predicate]) => predicate(values[i]))
+      )
+  }
+
+  const withMatchingValues = (target, rangesAndCriteria, fn) => {
+    const values = matchingValues(target, rangesAndCriteria)
+
+    return Errors.isError(values) ? values : fn(values)
+  }
+
+  const SUM = (...values) => withNumbers(values, sum)
+
+  const COUNT = (...values) =>
+    values.reduce(
+      (acc, value) =>
+        acc +
+        (value instanceof Array
+          ? onlyNumbers(value.flat(2)).length
+          : Number(isCountable(value))),
+      0
+    )
+
+  // Counts anything but blanks, including errors.
+  const COUNTA = (...values) =>
+    values.flat(2).filter((value) => value !== null && value !== undefined)
+      .length
+
+  const COUNTBLANK = (values) =>
+    asTable(values).flat().filter(Values.isBlank).length
+
+  const AVG = (...values) => withNumbers(values, average)
+
+  const MAX = (...values) => withNumbers(values, max)
+
+  const MIN = (...values) => withNumbers(values, min)
+
+  // SUMIF(range, criterion, [sum_range])
+  const SUMIF = (range, criterion, sumRange = range) =>
+    withMatchingValues(sumRange, [range, criterion], (values) =>
+      sum(onlyNumbers(values))
+    )
+
+  // SUMIFS(sum_range, range1, criterion1, [range2, criterion2]...)
+  const SUMIFS = (sumRange, ...rangesAndCriteria) =>
+    withMatchingValues(sumRange, rangesAndCriteria, (values) =>
+      sum(onlyNumbers(values))
+    )
+
+  // COUNTIF(range, criterion)
+  const COUNTIF = (range, criterion) =>
+    withMatchingValues(range, [range, criterion], (values) => values.length)
+
+  // COUNTIFS(range1, criterion1, [range2, criterion2]...)
+  const COUNTIFS = (...rangesAndCriteria) =>
+    withMatchingValues(
+      rangesAndCriteria[0],
+      rangesAndCriteria,
+      (values) => values.length
+    )
+
+  // AVERAGEIF(range, criterion, [average_range])
+  const AVERAGEIF = (range, criterion, averageRange = range) =>
+    withMatchingValues(averageRange, [range, criterion], (values) =>
+      average(onlyNumbers(values))
+    )
+
+  // AVERAGEIFS(average_range, range1, criterion1, [range2, criterion2]...)
+  const AVERAGEIFS = (averageRange, ...rangesAndCriteria) =>
+    withMatchingValues(averageRange, rangesAndCriteria, (values) =>
+      average(onlyNumbers(values))
+    )
+
+  // MAXIFS(max_range, range1, criterion1, [range2, criterion2]...)
+  const MAXIFS = (maxRange, ...rangesAndCriteria) =>
+    withMatchingValues(maxRange, rangesAndCriteria, (values) =>
+      max(onlyNumbers(values))
+    )
+
+  // MINIFS(min_range, range1, criterion1, [range2, criterion2]...)
+  const MINIFS = (minRange, ...rangesAndCriteria) =>
+    withMatchingValues(minRange, rangesAndCriteria, (values) =>
+      min(onlyNumbers(values))
+    )
+
+  return {
+    SUM: define(SUM, { refsAsRanges: true }),
+    COUNT: define(COUNT, { trapsErrors: true, refsAsRanges: true }),
+    COUNTA: define(COUNTA, { minArgs: 1, trapsErrors: true }),
+    COUNTBLANK: define(COUNTBLANK, { minArgs: 1, maxArgs: 1 }),
+    AVG: define(AVG, { refsAsRanges: true }),
+    AVERAGE: define(AVG, { refsAsRanges: true }),
+    MAX: define(MAX, { minArgs: 1, refsAsRanges: true }),
+    MIN: define(MIN, { minArgs: 1, refsAsRanges: true }),
+    SUMIF: define(SUMIF, { minArgs: 2, maxArgs: 3 }),
+    SUMIFS: define(SUMIFS, { minArgs: 3 }),
+    COUNTIF: define(COUNTIF, { minArgs: 2, maxArgs: 2 }),
+    COUNTIFS: define(COUNTIFS, { minArgs: 2 }),
+    AVERAGEIF: define(AVERAGEIF, { minArgs: 2, maxArgs: 3 }),
+    AVERAGEIFS: define(AVERAGEIFS, { minArgs: 3 }),
+    MAXIFS: define(MAXIFS, { minArgs: 3 }),
+    MINIFS: define(MINIFS, { minArgs: 3 })
+  }
+})()
+
+export default MathFunctions
@@ -0,0 +1,226 @@
+import Errors from "../errors"
+import Values from "../values"
+import Helpers from "./helpers"
+
+// Statistics over numbers. As with SUM and alike, blanks, text and booleans
+// in ranges (or in single cells referred to) are ignored, while scalar
+// arguments must be numbers. Numbers are never spread as function arguments,
+// so ranges of any size are supported.
+const StatisticalFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, asTable, sum, withNumbers, withScalars } = Helpers
+  const { toNumber } = Values
+
+  const ascending = (a, b) => a - b
+
+  const mean = (numbers) => sum(numbers) / numbers.length
+
+  // Calls `fn` with the numbers in `values`, provided there are at least
+  // `minCount` of them.
+  const withSample = (values, minCount, code, fn) =>
+    withNumbers(values, (numbers) =>
+      numbers.length < minCount
+        ? new CellError(
+            code,
+            `Expected at least ${minCount} number${
+              minCount === 1 ? "" : "s"
+            } but got ${numbers.length}`
+          )
+        : fn(numbers)
+    )
+
+  const sumOfSquaredDeviations = (numbers) => {
+    const numbersMean = mean(numbers)
+
+    return sum(numbers.map((number) => (number - numbersMean) ** 2))
+  }
+
+  const sampleVariance = (numbers) =>
+    sumOfSquaredDeviations(numbers) / (numbers.length - 1)
+
+  const populationVariance = (numbers) =>
+    sumOfSquaredDeviations(numbers) / numbers.length
+
+  // Linear interpolation between the closest ranks, as in PERCENTILE.INC.
+  const percentile = (numbers, k) => {
+    const sorted = [...numbers].sort(ascending)
+    const position = k * (sorted.length - 1)
+    const lower = Math.floor(position)
+
+    return lower === sorted.length - 1
+      ? sorted[lower]
+      : sorted[lower] + (position - lower) * (sorted[lower + 1] - sorted[lower])
+  }
+
+  // The k-th (1-based) number in `numbers` sorted with `order`.
+  const nth = (values, k, order) =>
+    withScalars([k], toNumber, (k) =>
+      withSample([values], 1, CODES.NUM, (numbers) => {
+        k = Math.ceil(k)
+
+        if (k < 1 || k > numbers.length)
+          return new CellError(
+            CODES.NUM,
+            `Expected a position between 1 and ${numbers.length} but got ${k}`
+          )
+
+        return [...numbers].sort(order)[k - 1]
+      })
+    )
+
+  const MEDIAN = (...values) =>
+    withSample(values, 1, CODES.NUM, (numbers) => percentile(numbers, 0.5))
+
+  // The smallest of the most frequent numbers, if any is repeated.
+  const MODE = (...values) =>
+    withSample(values, 1, CODES.NA, (numbers) => {
+      const counts = new Map()
+      let mode
+      let modeCount = 1
+
+      numbers.forEach((number) => {
+        const count = (counts.get(number) ?? 0) + 1
+
+        counts.set(number, count)
+
+        if (count > modeCount || (count === modeCount && number < mode)) {
+          mode = number
+          modeCount = count
+        }
+      })
+
+      return mode ?? new CellError(CODES.NA, "No repeated numbers found")
+    })
+
+  const VAR_S = (...values) => withSample(values, 2, CODES.DIV0, sampleVariance)
+
+  const VAR_P = (...values) =>
+    withSample(values, 1, CODES.DIV0, populationVariance)
+
+  const STDEV_S = (...values) =>
+    withSample(values, 2, CODES.DIV0, (numbers) =>
+      Math.sqrt(sampleVariance(numbers))
+    )
+
+  const STDEV_P = (...values) =>
+    withSample(values, 1, CODES.DIV0, (numbers) =>
+      Math.sqrt(populationVariance(numbers))
+    )
+
+  // PERCENTILE(array, k), where k is between 0 and 1.
+  const PERCENTILE = (values, k) =>
+    withScalars([k], toNumber, (k) =>
+      k < 0 || k > 1
+        ? new CellError(CODES.NUM, `Expected k between 0 and 1 but got ${k}`)
+        : withSample([values], 1, CODES.NUM, (numbers) =>
+            percentile(numbers, k)
+          )
+    )
+
+  // QUARTILE(array, quart), where quart is 0 (minimum) to 4 (maximum).
+  const QUARTILE = (values, quart) =>
+    withScalars([quart], toNumber, (quart) => {
+      quart = Math.trunc(quart)
+
+      return quart < 0 || quart > 4
+        ? new CellError(
+            CODES.NUM,
+            `Expected a quartile between 0 and 4 but got ${quart}`
+          )
+        : withSample([values], 1, CODES.NUM, (numbers) =>
+            percentile(numbers, quart / 4)
+          )
+    })
+
+  // RANK(number, ref, [order]): the position of number among the numbers in
+  // ref, from the largest (order 0, the default) or smallest one.
+  const RANK = (number, values, order = 0) =>
+    withScalars([number, order], toNumber, (number, order) =>
+      withNumbers([values], (numbers) => {
+        if (!numbers.includes(number))
+          return new CellError(CODES.NA, `${number} not found`)
+
+        return (
+          numbers.filter((other) =>
+            order === 0 ? other > number : other < number
+          ).length + 1
+        )
+      })
+    )
+
+  // CORREL(array1, array2): Pearson's correlation coefficient, only taking
+  // into account the positions where both arrays have numbers.
+  const CORREL = (values1, values2) => {
+    const [items1, items2] = [values1, values2].map((values) =>
+      asTable(values).flat()
+    )
+
+    if (items1.length !== items2.length)
+      return new CellError(CODES.NA, "Arrays must have the same size")
+
+    const error = Errors.findError([items1, items2])
+
+    if (error) return error
+
+    const pairs = items1
+      .map((item, i) => [item, items2[i]])
+      .filter((pair) => pair.every((item) => typeof item === "number"))
+    const xs = pairs.map(([x]) => x)
+    const ys = pairs.map(([, y]) => y)
+
+    if (pairs.length < 2)
+      return new CellError(CODES.DIV0, "Expected at least 2 pairs of numbers")
+
+    const [xMean, yMean] = [mean(xs), mean(ys)]
+    const covariance = sum(pairs.map(([x, y]) => (x - xMean) * (y - yMean)))
+    const deviations = Math.sqrt(
+      sumOfSquaredDeviations(xs) * sumOfSquaredDeviations(ys)
+    )
+
+    return deviations === 0
+      ? new CellError(CODES.DIV0, "One of the arrays has no variance")
+      : covariance / deviations
+  }
+
+  // LARGE(array, k)
+  const LARGE = (values, k) => nth(values, k, (a, b) => b - a)
+
+  // SMALL(array, k)
+  const SMALL = (values, k) => nth(values, k, ascending)
+
+  // Numbers in refs to single cells are taken as in ranges (see
+  // `Helpers.define`), as are those in the array of `arrayAndK` functions.
+  const sample = { minArgs: 1, refsAsRanges: true }
+  const arrayAndK = { minArgs: 2, maxArgs: 2, refsAsRanges: [true, false] }
+
+  return {
+    MEDIAN: define(MEDIAN, sample),
+    MODE: define(MODE, sample),
+    "MODE.SNGL": define(MODE, sample),
+    VAR: define(VAR_S, sample),
+    "VAR.S": define(VAR_S, sample),
+    "VAR.P": define(VAR_P, sample),
+    STDEV: define(STDEV_S, sample),
+    "STDEV.S": define(STDEV_S, sample),
+    "STDEV.P": define(STDEV_P, sample),
+    PERCENTILE: define(PERCENTILE, arrayAndK),
+    "PERCENTILE.INC": define(PERCENTILE, arrayAndK),
+    QUARTILE: define(QUARTILE, arrayAndK),
+    "QUARTILE.INC": define(QUARTILE, arrayAndK),
+    RANK: define(RANK, {
+      minArgs: 2,
+      maxArgs: 3,
+      refsAsRanges: [false, true, false]
+    }),
+    "RANK.EQ": define(RANK, {
+      minArgs: 2,
+      maxArgs: 3,
+      refsAsRanges: [false, true, false]
+    }),
+    CORREL: define(CORREL, { minArgs: 2, maxArgs: 2, refsAsRanges: true }),
+    LARGE: define(LARGE, arrayAndK),
+    SMALL: define(SMALL, arrayAndK)
+  }
+})()
+
+export default StatisticalFunctions
@@ -0,0 +1,270 @@
+import Errors from "../errors"
+import Values from "../values"
+import Dates from "../dates"
+import Helpers from "./helpers"
+
+const TextFunctions = (() => {
+  const { CODES, CellError } = Errors
+  const { define, withScalars } = Helpers
+  const { toText, toNumber } = Values
+
+  // e.g. '0', '#,##0.00', '0.0%', '$ #,##0', '0.00 "kg"' (quotes optional).
+  const NUMBER_FORMAT_REGEXP = /^([^#0.]*)([#0,]*)(?:\.([0#]+))?(%?)([^#0]*)$/
+  // Date and time codes (e.g. 'yyyy-mm-dd', 'd mmm yy', 'h:mm AM/PM'), among
+  // quoted or escaped text (e.g. 'd "de" mmmm' or 'd\h').
+  const DATE_FORMAT_REGEXP = /"[^"]*"|\\.|y+|m+|d+|h+|s+|am\/pm|./gi
+  const DATE_CODE_REGEXP = /^(y+|m+|d+|h+|s+|am\/pm)$/i
+
+  const MONTH_NAMES = [
+    "January",
+    "February",
+    "March",
+    "April",
+    "May",
+    "June",
+    "July",
+    "August",
+    "September",
+    "October",
+    "November",
+    "December"
+  ]
+  const DAY_NAMES = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday"
+  ]
+
+  const count = (number) => Math.trunc(number)
+
+  const invalidCount = (name) =>
+    new CellError(CODES.VALUE, `${name} must not be negative`)
+
+  const unsupportedFormat = (format) =>
+    new CellError(CODES.VALUE, `Unsupported format "${format}"`)
+
+  const isNumberFormat = (format) => {
+    const match = format.match(NUMBER_FORMAT_REGEXP)
+
+    return !!match && !!(match[2] || match[3])
+  }
+
+  const formatNumber = (number, format) => {
+    const match = format.match(NUMBER_FORMAT_REGEXP)
+    const [, prefix, integerPattern, decimalPattern = "", percent] = match
+    const suffix = match[5]
+    const maxDecimals = decimalPattern.length
+    const minDecimals = decimalPattern.replaceAll("#", "").length
+    const minIntegerDigits = integerPattern.replaceAll(/[#,]/g, "").length
+    const value = Math.abs(percent ? number * 100 : number)
+
+    let [integerPart, decimalPart = ""] = value.toFixed(maxDecimals).split(".")
+
+    decimalPart = decimalPart.replace(
+      new RegExp(`0{0,${maxDecimals - minDecimals}}$`),
+      ""
+    )
+    integerPart = integerPart.replace(/^0+/, "").padStart(minIntegerDigits, "0")
+
+    if (integerPattern.includes(","))
+      integerPart = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, ",")
+
+    const unquote = (text) => text.replaceAll('"', "")
+
+    return [
+      number < 0 && Number(value.toFixed(maxDecimals)) !== 0 ? "-" : "",
+      unquote(prefix),
+      integerPart,
+      decimalPart && `.${decimalPart}`,
+      percent,
+      unquote(suffix)
+    ].join("")
+  }
+
+  // `m` and `mm` are minutes right after hours or right before seconds, as
+  // in 'hh:mm' or 'mm:ss', and months otherwise. Hours go from 1 to 12 with
+  // AM/PM.
+  const formatDate = (serial, format) => {
+    const tokens = format.match(DATE_FORMAT_REGEXP) ?? []
+    const codes = tokens
+      .filter((token) => token.match(DATE_CODE_REGEXP))
+      .map((code) => code.toLowerCase())
+
+    if (codes.length === 0) return unsupportedFormat(format)
+
+    if (serial < 0)
+      return new CellError(CODES.VALUE, "Dates must not be negative")
+
+    const date = Dates.fromSerial(serial)
+    const { year, month, day, weekday, hours, minutes, seconds } = date
+    const pad = (number, length) => String(number).padStart(length, "0")
+    let codeIndex = -1
+
+    const formatCode = (code) => {
+      const length = code.length
+
+      codeIndex++
+
+      switch (code[0]) {
+        case "y":
+          return length > 2 ? pad(year, 4) : pad(year % 100, 2)
+
+        case "m":
+          if (
+            length <= 2 &&
+            (codes[codeIndex - 1]?.[0] === "h" ||
+              codes[codeIndex + 1]?.[0] === "s")
+          )
+            return pad(minutes, length)
+
+          if (length > 2)
+            return MONTH_NAMES[month - 1].slice(0, length > 3 ? undefined : 3)
+
+          return pad(month, length)
+
+        case "d":
+          if (length > 2)
+            return DAY_NAMES[weekday].slice(0, length > 3 ? undefined : 3)
+
+          return pad(day, length)
+
+        case "h":
+          return pad(
+            codes.includes("am/pm") ? hours % 12 || 12 : hours,
+            Math.min(length, 2)
+          )
+
+        case "s":
+          return pad(seconds, Math.min(length, 2))
+
+        default:
+          return hours < 12 ? "AM" : "PM"
+      }
+    }
+
+    return tokens
+      .map((token) => {
+        if (token.match(DATE_CODE_REGEXP))
+          return formatCode(token.toLowerCase())
+
+        if (token.startsWith('"')) return token.slice(1, -1)
+
+        return token.startsWith("\\") ? token.slice(1) : token
+      })
+      .join("")
+  }
+
+  const CONCAT = (...values) =>
+    withScalars(values.flat(2), toText, (...texts) => texts.join(""))
+
+  const CONCATENATE = (...values) =>
+    withScalars(values, toText, (...texts) => texts.join(""))
+
+  const LEFT = (text, numChars = 1) =>
+    withScalars([text, numChars], [toText, toNumber], (text, numChars) =>
+      numChars < 0
+        ? invalidCount("Number of characters")
+        : text.slice(0, count(numChars))
+    )
+
+  const RIGHT = (text, numChars = 1) =>
+    withScalars([text, numChars], [toText, toNumber], (text, numChars) =>
+      numChars < 0
+        ? invalidCount("Number of characters")
+        : text.slice(Math.max(text.length - count(numChars), 0))
+    )
+
+  const MID = (text, start, numChars) =>
+    withScalars(
+      [text, start, numChars],
+      [toText, toNumber, toNumber],
+      (text, start, numChars) => {
+        if (start < 1)
+          return new CellError(CODES.VALUE, "Start must be at least 1")
+        if (numChars < 0) return invalidCount("Number of characters")
+
+        return text.slice(count(start) - 1, count(start) - 1 + count(numChars))
+      }
+    )
+
+  const LEN = (text) => withScalars([text], toText, (text) => text.length)
+
+  const UPPER = (text) =>
+    withScalars([text], toText, (text) => text.toUpperCase())
+
+  const LOWER = (text) =>
+    withScalars([text], toText, (text) => text.toLowerCase())
+
+  // Removes leading and trailing spaces, and collapses inner ones.
+  const TRIM = (text) =>
+    withScalars([text], toText, (text) => text.trim().replaceAll(/ +/g, " "))
+
+  // SUBSTITUTE(text, old_text, new_text, [instance_num])
+  const SUBSTITUTE = (...values) =>
+    withScalars(
+      values,
+      [toText, toText, toText, toNumber],
+      (text, oldText, newText, instance) => {
+        if (oldText === "") return text
+        if (instance === undefined) return text.replaceAll(oldText, newText)
+        if (instance < 1)
+          return new CellError(CODES.VALUE, "Instance must be at least 1")
+
+        let index = -1
+
+        for (let i = 0; i < count(instance); i++) {
+          index = text.indexOf(oldText, index + 1)
+
+          if (index < 0) return text
+        }
+
+        return (
+          text.slice(0, index) + newText + text.slice(index + oldText.length)
+        )
+      }
+    )
+
+  // TEXT(value, format), where `format` is a number format (see
+  // `formatNumber`), a date format (see `formatDate`), "General" (as values
+  // are displayed) or "@" (as text). Text which isn't a number (or a date)
+  // is returned as it is, whatever the format.
+  const TEXT = (value, format) =>
+    withScalars(
+      [value, format],
+      [(value) => value, toText],
+      (value, format) => {
+        if (format === "@") return toText(value)
+
+        const number = toNumber(value)
+
+        if (Errors.isError(number))
+          return typeof value === "string" ? value : number
+
+        if (format.toLowerCase() === "general") return toText(number)
+
+        return isNumberFormat(format)
+          ? formatNumber(number, format)
+          : formatDate(number, format)
+      }
+    )
+
+  return {
+    CONCAT: define(CONCAT, { minArgs: 1 }),
+    CONCATENATE: define(CONCATENATE, { minArgs: 1 }),
+    LEFT: define(LEFT, { minArgs: 1, maxArgs: 2 }),
+    RIGHT: define(RIGHT, { minArgs: 1, maxArgs: 2 }),
+    MID: define(MID, { minArgs: 3, maxArgs: 3 }),
+    LEN: define(LEN, { minArgs: 1, maxArgs: 1 }),
+    UPPER: define(UPPER, { minArgs: 1, maxArgs: 1 }),
+    LOWER: define(LOWER, { minArgs: 1, maxArgs: 1 }),
+    TRIM: define(TRIM, { minArgs: 1, maxArgs: 1 }),
+    SUBSTITUTE: define(SUBSTITUTE, { minArgs: 3, maxArgs: 4 }),
+    TEXT: define(TEXT, { minArgs: 2, maxArgs: 2 })
+  }
+})()
+
+export default TextFunctions
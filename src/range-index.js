@@ -0,0 +1,91 @@
+import Util from "./util"
+
+// Finds the ranges (e.g. 'A1:Z1000' or 'A:A') containing a given cell without
+// checking every range, for the cells watching ranges (see
+// `Sheet#registerRangeObserver`). The sheet is split into tiles, and each
+// range is listed in the tiles it overlaps, unless there are too many of them
+// (as with open ranges), in which case it is listed apart and checked for
+// every cell.
+//
+// Clones share their tiles with the original index until any of them is
+// changed (see `Sheet#clone`).
+const TILE_ROWS = 64
+const TILE_COLS = 8
+const MAX_TILES = 256
+const WIDE = "*" // The key of the ranges overlapping too many tiles.
+
+const tileKey = (row, col) =>
+  `${Math.floor((row - 1) / TILE_ROWS)},${Math.floor((col - 1) / TILE_COLS)}`
+
+const tileKeys = (range) => {
+  const { from, to } = Util.parseRange(range)
+  const [fromRow, fromCol] = tileKey(from.row, from.col).split(",").map(Number)
+  const [toRow, toCol] = tileKey(to.row, to.col).split(",").map(Number)
+
+  // Open ranges end in an `Infinity` row or col.
+  if ((toRow - fromRow + 1) * (toCol - fromCol + 1) > MAX_TILES) return [WIDE]
+
+  return Util.sequenceMap(toRow - fromRow + 1, (rowIndex) =>
+    Util.sequenceMap(
+      toCol - fromCol + 1,
+      (colIndex) => `${fromRow + rowIndex},${fromCol + colIndex}`
+    )
+  ).flat()
+}
+
+class RangeIndex {
+  constructor() {
+    this.tiles = {} // Sets of ranges, by tile key.
+    this.ownTiles = new Set() // Keys of the tiles not shared with clones.
+  }
+
+  clone() {
+    const clone = new RangeIndex()
+
+    clone.tiles = { ...this.tiles }
+    this.ownTiles = new Set()
+
+    return clone
+  }
+
+  add(range) {
+    tileKeys(range).forEach((key) => this._ownTile(key).add(range))
+  }
+
+  remove(range) {
+    tileKeys(range).forEach((key) => {
+      const tile = this._ownTile(key)
+
+      tile.delete(range)
+
+      if (tile.size === 0) {
+        delete this.tiles[key]
+        this.ownTiles.delete(key)
+      }
+    })
+  }
+
+  rangesContaining(ref) {
+    const { row, col } = Util.asCoords(ref)
+
+    return [
+      ...(this.tiles[tileKey(row, col)] ?? []),
+      ...(this.tiles[WIDE] ?? [])
+    ].filter((range) => Util.rangeContains(range, ref))
+  }
+
+  ///////////////////////
+  // Private functions //
+  ///////////////////////
+
+  _ownTile(key) {
+    if (!this.ownTiles.has(key)) {
+      this.tiles[key] = new Set(this.tiles[key])
+      this.ownTiles.add(key)
+    }
+
+    return this.tiles[key]
+  }
+}
+
+export default RangeIndex
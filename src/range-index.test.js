@@ -0,0 +1,48 @@
+import RangeIndex from "./range-index"
+
+describe("RangeIndex", () => {
+  it("finds the ranges containing a ref", () => {
+    const index = new RangeIndex()
+
+    index.add("A1:A3")
+    index.add("B1:B1000")
+    index.add("A:A")
+
+    expect(index.rangesContaining("A2").sort()).toEqual(["A1:A3", "A:A"])
+    expect(index.rangesContaining("B900")).toEqual(["B1:B1000"])
+    expect(index.rangesContaining("C1")).toEqual([])
+  })
+
+  it("finds ranges given with their corners the other way round", () => {
+    const index = new RangeIndex()
+
+    index.add("B3:A1")
+
+    expect(index.rangesContaining("A2")).toEqual(["B3:A1"])
+    expect(index.rangesContaining("B1")).toEqual(["B3:A1"])
+  })
+
+  it("takes ranges again once removed", () => {
+    const index = new RangeIndex()
+
+    index.add("A1:A3")
+    index.remove("A1:A3")
+    index.add("A1:A3")
+
+    expect(index.rangesContaining("A1")).toEqual(["A1:A3"])
+  })
+
+  it("leaves clones unchanged", () => {
+    const index = new RangeIndex()
+
+    index.add("A1:A3")
+
+    const clone = index.clone()
+
+    clone.remove("A1:A3")
+    clone.add("A2:A4")
+
+    expect(index.rangesContaining("A2")).toEqual(["A1:A3"])
+    expect(clone.rangesContaining("A2")).toEqual(["A2:A4"])
+  })
+})
@@ -1,16 +1,23 @@
+import Errors from "./errors"
+import Dates from "./dates"
+
 const Util = (() => {
   const ALPHABET_LENGTH = "Z".charCodeAt() - "A".charCodeAt() + 1
-  const REF_REGEXP = /\b([a-z]+)(\d+)\b/i
-  const REF_WITH_ANCHORS_REGEXP = /^([a-z]+)(\d+)$/i
-  const RANGE_REGEXP = /\b([a-z]+\d+):([a-z]+\d+)\b/i
+  // A `$` before the col and/or row makes that part absolute (e.g. `$A$1`,
+  // `A$1`, `$A1`), so it is kept as is when the formula is copied.
+  const REF_WITH_ANCHORS_REGEXP = /^(\$?)([a-z]+)(\$?)(\d+)$/i
+  const RANGE_REGEXP = /(\$?\b[a-z]+\$?\d+):(\$?\b[a-z]+\$?\d+)\b/i
+  // A range corner, which might leave out its col (e.g. '3' in '3:3') or row
+  // (e.g. 'A' in 'A:A' or 'A2:A').
+  const RANGE_CORNER_REGEXP = /^(\$?)([a-z]*)(\$?)(\d*)$/i
   const FORMULA_REGEXP = /^=(.*)$/
-
-  class InvalidRefInFormula {
-    constructor(message) {
-      this.message = message
-      this.name = "InvalidRefInFormula"
-    }
-  }
+  // The size of sheets, as in other spreadsheet applications.
+  const MAX_ROWS = 1048576
+  const MAX_COLS = 16384
+  // Sheet names which can be used in formulas without quotes, e.g. `Sheet2`
+  // in `Sheet2!A1` (but `'Q1 Budget'!A1`).
+  const UNQUOTED_SHEET_NAME_REGEXP = /^[a-z_][a-z0-9_.]*$/i
+  const INVALID_SHEET_NAME_CHARS_REGEXP = /[!'[\]:*?/\\]/
 
   const sequence = (number) => [...Array(number)].map((_, i) => i)
   const sequenceForEach = (number, fn) => sequence(number).forEach((i) => fn(i))
@@ -18,10 +25,14 @@ const Util = (() => {
   const sequenceReduce = (number, fn, initialAcc) =>
     sequence(number).reduce(fn, initialAcc)
 
+  const BOOLEAN_REGEXP = /^(true|false)$/i
+
   const normalizeValue = (value) => {
     if (typeof value === "string") {
       if (value.trim() === "") {
         return ""
+      } else if (value.trim().match(BOOLEAN_REGEXP)) {
+        return value.trim().toUpperCase() === "TRUE"
       } else {
         return Object.is(Number(value), NaN) ? value.trim() : Number(value)
       }
@@ -30,6 +41,16 @@ const Util = (() => {
     }
   }
 
+  // The inverse of `normalizeValue`, for display. Numbers are shown as
+  // dates when `format` is one of `Dates.FORMATS`.
+  const formatValue = (value, format = null) => {
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE"
+    if (value === null || value === undefined) return ""
+    if (typeof value === "number" && format) return Dates.format(value, format)
+
+    return value
+  }
+
   // Converts 'A' to 1, 'B' to 2... 'Z' to 26.
   const _colIndexFromSingleLetter = (colSingleRef) => {
     return colSingleRef.charCodeAt() - "A".charCodeAt() + 1
@@ -76,13 +97,56 @@ const Util = (() => {
   }
 
   const _rowColFromRef = (ref) => {
-    const match = ref.toUpperCase().match(/^([A-Z]+)(\d+)$/i)
-    const col = colIndexFromLabel(match[1])
-    const row = Number(match[2])
+    const { col, row } = parseRef(ref)
 
     return { row, col }
   }
 
+  // Splits a (possibly anchored) ref into its parts, e.g. '$B3' into
+  // { col: 2, row: 3, colAbsolute: true, rowAbsolute: false }. Range corners
+  // without a col or row (see `parseRange`) have a null one, e.g. '$3' is
+  // { col: null, row: 3, colAbsolute: false, rowAbsolute: true }.
+  const parseRef = (ref) => {
+    const match = ref.toUpperCase().match(RANGE_CORNER_REGEXP)
+
+    if (!match || (!match[2] && !match[4])) return null
+
+    const [colAnchor, colLabel, rowAnchor, row] = match.slice(1)
+
+    return {
+      col: colLabel ? colIndexFromLabel(colLabel) : null,
+      row: row ? Number(row) : null,
+      colAbsolute: !!colLabel && colAnchor === "$",
+      rowAbsolute:
+        !!row && (rowAnchor === "$" || (!colLabel && colAnchor === "$"))
+    }
+  }
+
+  const formatRef = ({ col, row, colAbsolute, rowAbsolute }) =>
+    (col === null ? "" : `${colAbsolute ? "$" : ""}${colAsLabel(col)}`) +
+    (row === null ? "" : `${rowAbsolute ? "$" : ""}${row}`)
+
+  const stripAnchors = (ref) => ref.replaceAll("$", "").toUpperCase()
+
+  // Cycles through 'A1' -> '$A$1' -> 'A$1' -> '$A1' -> 'A1', like the F4 key
+  // in other spreadsheet applications.
+  const cycleRefAnchors = (ref) => {
+    const { colAbsolute, rowAbsolute, ...coords } = parseRef(ref)
+    const [nextColAbsolute, nextRowAbsolute] = colAbsolute
+      ? rowAbsolute
+        ? [false, true]
+        : [false, false]
+      : rowAbsolute
+      ? [true, false]
+      : [true, true]
+
+    return formatRef({
+      ...coords,
+      colAbsolute: nextColAbsolute,
+      rowAbsolute: nextRowAbsolute
+    })
+  }
+
   const asCoords = (refOrCoords) => {
     let row, col
 
@@ -99,44 +163,6 @@ const Util = (() => {
 
   const rawFormula = (formula) => formula.match(FORMULA_REGEXP)?.[1]
 
-  const findRefsInFormula = (formula) =>
-    new Set(textScan(formula.toUpperCase(), REF_REGEXP))
-
-  const templateReplace = (template, replacements) => {
-    return Object.entries(replacements).reduce(
-      (acc, [ref, value]) =>
-        acc.replace(new RegExp(`\\b${ref}\\b`, "gi"), value),
-      template
-    )
-  }
-
-  const templateReplaceForCopy = (template, replacements) => {
-    return Object.entries(replacements)
-      .reduce(
-        (acc, [ref, value]) =>
-          acc.replace(
-            new RegExp(`\\b${ref.toUpperCase()}\\b`, "g"),
-            value.toLowerCase()
-          ),
-        template.toUpperCase()
-      )
-      .toUpperCase()
-  }
-
-  const templateReplaceForMove = (template, replacements) => {
-    return Object.entries(replacements)
-      .reduce(
-        (acc, [ref, value]) =>
-          acc.replace(
-            // Ignore ranges.
-            new RegExp(`\\b(?<!:)${ref.toUpperCase()}(?!:)\\b`, "g"),
-            value.toLowerCase()
-          ),
-        template.toUpperCase()
-      )
-      .toUpperCase()
-  }
-
   const textScan = (text, regexp) =>
     [
       ...text.matchAll(
@@ -152,19 +178,150 @@ const Util = (() => {
     value === null ||
     (typeof value === "string" && value.trim() === "")
 
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")
+
   const isRef = (ref) => !!ref.match(REF_WITH_ANCHORS_REGEXP)
 
-  const expandRange = (range) => {
-    const match = range.match(RANGE_REGEXP)
+  const isValidSheetName = (name) =>
+    typeof name === "string" &&
+    name.trim() === name &&
+    name.length > 0 &&
+    name.length <= 31 &&
+    !name.match(INVALID_SHEET_NAME_CHARS_REGEXP)
+
+  // Refs to cells in other sheets (e.g. in a cell's subjects) are kept as
+  // 'Sheet2!A1' (without quotes, even for names with spaces).
+  const qualifiedRef = (sheetName, ref) =>
+    sheetName ? `${sheetName}!${ref}` : ref
+
+  // The inverse of `qualifiedRef`, which also takes formula text, where
+  // sheet names might be quoted (e.g. "'Q1 Budget'!B2"). `sheetName` is
+  // null for unqualified refs.
+  const splitQualifiedRef = (ref) => {
+    const separatorIndex = ref.lastIndexOf("!")
+
+    if (separatorIndex < 0) return { sheetName: null, ref }
+
+    return {
+      sheetName: unquoteSheetName(ref.slice(0, separatorIndex)),
+      ref: ref.slice(separatorIndex + 1)
+    }
+  }
 
-    const topLeftCoords = Util.asCoords(match[1])
-    const bottomRightCoords = Util.asCoords(match[2])
+  // How a sheet name is written before a ref in formulas, e.g. 'Sheet2!' or
+  // "'Q1 Budget'!".
+  const sheetPrefix = (sheetName) =>
+    sheetName.match(UNQUOTED_SHEET_NAME_REGEXP) && !isRef(sheetName)
+      ? `${sheetName}!`
+      : `'${sheetName.replaceAll("'", "''")}'!`
+
+  const unquoteSheetName = (text) =>
+    text.startsWith("'") && text.endsWith("'")
+      ? text.slice(1, -1).replaceAll("''", "'")
+      : text
+
+  const isRange = (range) => {
+    const corners = range.split(":")
+
+    return corners.length === 2 && corners.every(isRef)
+  }
+
+  // A range with its corners the right way round, e.g. 'B2:A1' as 'A1:B2' or
+  // 'C:A' as 'A:C', so it's the same rectangle wherever it's used.
+  const normalizeRange = (range) => {
+    const [from, to] = range.split(":").map(parseRef)
+    const [fromRow, toRow] = _ordered(from.row, to.row)
+    const [fromCol, toCol] = _ordered(from.col, to.col)
+    const swapRows = fromRow !== from.row
+    const swapCols = fromCol !== from.col
+
+    return [
+      formatRef({
+        row: fromRow,
+        col: fromCol,
+        rowAbsolute: (swapRows ? to : from).rowAbsolute,
+        colAbsolute: (swapCols ? to : from).colAbsolute
+      }),
+      formatRef({
+        row: toRow,
+        col: toCol,
+        rowAbsolute: (swapRows ? from : to).rowAbsolute,
+        colAbsolute: (swapCols ? from : to).colAbsolute
+      })
+    ].join(":")
+  }
+
+  // Open range corners (with a null row or col) are left as they are.
+  const _ordered = (a, b) =>
+    a === null || b === null ? [a, b] : [Math.min(a, b), Math.max(a, b)]
+
+  // Splits a range into the coords of its corners, e.g. 'B2:C5' into
+  // { from: { row: 2, col: 2 }, to: { row: 5, col: 3 } }, or returns null for
+  // invalid ones. Open ranges extend to the end of the sheet, which is an
+  // `Infinity` row or col in `to`: whole cols (e.g. 'A:A' or 'B:D'), whole
+  // rows (e.g. '3:3' or '1:5') or either of them from a given cell (e.g.
+  // 'A2:A' or 'B3:3'). Corners given the other way round are swapped.
+  const parseRange = (range) => {
+    const corners = range.split(":").map(parseRef)
+
+    if (corners.length !== 2 || corners.includes(null)) return null
+
+    const [from, to] = corners
+    const isFromRef = from.col !== null && from.row !== null
 
     if (
-      bottomRightCoords.row < topLeftCoords.row ||
-      bottomRightCoords.col < topLeftCoords.col
+      !isFromRef &&
+      ((from.col === null) !== (to.col === null) ||
+        (from.row === null) !== (to.row === null))
+    )
+      return null
+
+    const [fromRow, toRow] = _ordered(from.row, to.row)
+    const [fromCol, toCol] = _ordered(from.col, to.col)
+
+    return {
+      from: { row: fromRow ?? 1, col: fromCol ?? 1 },
+      to: { row: toRow ?? Infinity, col: toCol ?? Infinity }
+    }
+  }
+
+  const isOpenRange = (range) => {
+    const coords = parseRange(range)
+
+    return (
+      !!coords && (coords.to.row === Infinity || coords.to.col === Infinity)
+    )
+  }
+
+  // Whether `ref` is within `range` (open or not).
+  const rangeContains = (range, ref) => {
+    const { from, to } = parseRange(range)
+    const { row, col } = asCoords(ref)
+
+    return row >= from.row && row <= to.row && col >= from.col && col <= to.col
+  }
+
+  // Limits an open range to the sheet's `dimensions` (`[rows, cols]`), so it
+  // can be expanded, e.g. 'A:A' to 'A1:A10' in a 10 rows sheet. It keeps at
+  // least its first row or col, even when beyond the sheet's end.
+  const boundRange = (range, [rows, cols]) => {
+    const { from, to } = parseRange(range)
+
+    return [
+      asRef([from.row, from.col]),
+      asRef([
+        to.row === Infinity ? Math.max(from.row, rows) : to.row,
+        to.col === Infinity ? Math.max(from.col, cols) : to.col
+      ])
+    ].join(":")
+  }
+
+  const expandRange = (range) => {
+    const [topLeftCoords, bottomRightCoords] = normalizeRange(
+      range.match(RANGE_REGEXP)[0]
     )
-      return []
+      .split(":")
+      .map(asCoords)
 
     return Util.sequenceMap(
       bottomRightCoords.row - topLeftCoords.row + 1,
@@ -180,30 +337,40 @@ const Util = (() => {
     )
   }
 
-  const expandRanges = (formula) => {
-    const ranges = new Set(textScan(formula, RANGE_REGEXP))
+  // Absolute cols/rows (e.g. `$A$1`) are kept as is.
+  const newRefForCopy = (ref, source, target) =>
+    _shiftRef(ref, source, target, true)
 
-    return [...ranges].reduce(
-      (acc, range) =>
-        acc.replaceAll(
-          range,
-          JSON.stringify(expandRange(range)).replaceAll('"', "")
-        ),
-      formula
-    )
-  }
+  // Cells being moved take their refs along, so anchors are ignored (but
+  // preserved in the new ref).
+  const newRefForMove = (ref, source, target) =>
+    _shiftRef(ref, source, target, false)
 
-  const newRefForCopy = (ref, source, target) => {
-    const refCoords = asCoords(ref)
+  // Open range corners (e.g. 'A' in 'A:A') only have their col or row
+  // shifted.
+  const _shiftRef = (ref, source, target, honorAnchors) => {
+    const refParts = parseRef(ref)
     const sourceCoords = asCoords(source)
     const targetCoords = asCoords(target)
 
-    const newRow = refCoords.row + (targetCoords.row - sourceCoords.row)
-    const newCol = refCoords.col + (targetCoords.col - sourceCoords.col)
+    const shift = (value, absolute, offset) =>
+      value === null || (honorAnchors && absolute) ? value : value + offset
+
+    const newRow = shift(
+      refParts.row,
+      refParts.rowAbsolute,
+      targetCoords.row - sourceCoords.row
+    )
+    const newCol = shift(
+      refParts.col,
+      refParts.colAbsolute,
+      targetCoords.col - sourceCoords.col
+    )
 
-    if (newRow < 1 || newCol < 1) return "[invalid ref]"
+    if ((newRow !== null && newRow < 1) || (newCol !== null && newCol < 1))
+      return Errors.CODES.REF
 
-    return asRef([newRow, newCol])
+    return formatRef({ ...refParts, row: newRow, col: newCol })
   }
 
   const setAppend = (targetSet, setOrArrayToAppend) => {
@@ -402,6 +569,8 @@ const Util = (() => {
       return [...value]
     } else if (key === "sheet") {
       return `(Sheet ${value.id})`
+    } else if (key === "workbook") {
+      return value && "(Workbook)"
     } else if (value === undefined) {
       return "(undefined)"
     } else if (value === null) {
@@ -413,28 +582,42 @@ const Util = (() => {
 
   return {
     RANGE_REGEXP,
-    InvalidRefInFormula,
+    MAX_ROWS,
+    MAX_COLS,
     sequence,
     sequenceForEach,
     sequenceMap,
     sequenceReduce,
     normalizeValue,
+    formatValue,
     colIndexFromLabel,
     colAsLabel,
     asRef,
     asCoords,
     isFormula,
     rawFormula,
-    findRefsInFormula,
+    parseRef,
+    formatRef,
+    stripAnchors,
+    cycleRefAnchors,
     isEmpty,
-    templateReplace,
-    templateReplaceForCopy,
-    templateReplaceForMove,
     textScan,
+    escapeRegExp,
     isRef,
+    normalizeRange,
+    isValidSheetName,
+    qualifiedRef,
+    splitQualifiedRef,
+    sheetPrefix,
+    unquoteSheetName,
+    isRange,
+    parseRange,
+    isOpenRange,
+    rangeContains,
+    boundRange,
     expandRange,
-    expandRanges,
     newRefForCopy,
+    newRefForMove,
     setAppend,
     setDiff,
     setIntersect,
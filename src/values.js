@@ -0,0 +1,128 @@
+import Errors from "./errors"
+import Dates from "./dates"
+
+// Conversions and comparisons between formula values (numbers, strings,
+// booleans and blanks, plus lambdas), shared by the formula evaluator and
+// functions.
+const Values = (() => {
+  const { CODES, CellError } = Errors
+
+  const describe = (value) =>
+    typeof value === "string" ? `"${value}"` : String(value)
+
+  const isBlank = (value) =>
+    value === null || value === undefined || value === ""
+
+  // Returns a `CellError` when `value` can't be converted.
+  const toNumber = (value) => {
+    if (typeof value === "number") return value
+    if (typeof value === "boolean") return Number(value)
+    if (isBlank(value)) return 0
+
+    if (typeof value === "string" && !Object.is(Number(value), NaN))
+      return Number(value)
+
+    // Date text (e.g. "2026-10-18") is taken as its serial number.
+    const date = Dates.parse(value)
+
+    if (date) return date.value
+
+    return new CellError(
+      CODES.VALUE,
+      `Expected a number but got ${describe(value)}`
+    )
+  }
+
+  const toText = (value) => {
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE"
+    if (isBlank(value)) return ""
+
+    return String(value)
+  }
+
+  // Returns a `CellError` when `value` can't be converted.
+  const toBoolean = (value) => {
+    if (typeof value === "boolean") return value
+    if (typeof value === "number") return value !== 0
+    if (isBlank(value)) return false
+
+    if (typeof value === "string") {
+      const upperCasedValue = value.toUpperCase()
+
+      if (upperCasedValue === "TRUE") return true
+      if (upperCasedValue === "FALSE") return false
+    }
+
+    return new CellError(
+      CODES.VALUE,
+      `Expected a logical value but got ${describe(value)}`
+    )
+  }
+
+  // Numbers sort before text, which sorts before booleans. Text comparison
+  // is case-insensitive. Blanks are taken as the other value's "empty"
+  // equivalent (0, "" or FALSE).
+  const compare = (left, right) => {
+    const blankAs = (value) =>
+      ({ number: 0, string: "", boolean: false }[typeof value] ?? null)
+
+    if (isBlank(left) && isBlank(right)) return 0
+    if (isBlank(left)) left = blankAs(right)
+    if (isBlank(right)) right = blankAs(left)
+
+    const typeRank = (value) =>
+      ({ number: 0, string: 1, boolean: 2 }[typeof value] ?? 0)
+
+    if (typeRank(left) !== typeRank(right))
+      return typeRank(left) - typeRank(right)
+
+    if (typeof left === "string") {
+      left = left.toUpperCase()
+      right = right.toUpperCase()
+    }
+
+    return left < right ? -1 : left > right ? 1 : 0
+  }
+
+  // The value of a `LAMBDA(x, y, x + y)`: `invoke` evaluates its body with
+  // an argument for each of its `params` (upper-cased names).
+  class Lambda {
+    constructor(params, invoke) {
+      this.params = params
+      this.invoke = invoke
+    }
+
+    call(args) {
+      const count = this.params.length
+
+      if (args.length !== count)
+        return new CellError(
+          CODES.VALUE,
+          `Lambda expects ${count} argument${count === 1 ? "" : "s"} but got ${
+            args.length
+          }`
+        )
+
+      return this.invoke(args)
+    }
+
+    toString() {
+      return `LAMBDA(${this.params.join(", ")})`
+    }
+  }
+
+  const isLambda = (value) => value instanceof Lambda
+
+  return {
+    Lambda,
+    isLambda,
+    describe,
+    isBlank,
+    toNumber,
+    toText,
+    toBoolean,
+    compare
+  }
+})()
+
+export default Values